@@ -12,6 +12,8 @@ import winston from 'winston';
 import testRoutes from './routes/tests.js';
 import reportRoutes from './routes/reports.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import JobQueueService from './services/JobQueueService.js';
+import SchedulerService from './services/SchedulerService.js';
 
 dotenv.config();
 
@@ -92,7 +94,11 @@ app.get('/', (req, res) => {
 // MongoDB connection
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => logger.info('MongoDB connected successfully'))
+  .then(() => {
+    logger.info('MongoDB connected successfully');
+    JobQueueService.start();
+    SchedulerService.start();
+  })
   .catch((err) => logger.error('MongoDB connection error:', err));
 
 // API Routes
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// One displayed price per product page and run
+const priceHistorySchema = new mongoose.Schema({
+  configurationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestConfiguration',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  executionId: String,
+  amount: Number,
+  currency: String,
+  compareAtAmount: Number,
+  onSale: Boolean,
+  minAmount: Number,
+  maxAmount: Number,
+  text: String,
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceHistorySchema.index({ configurationId: 1, url: 1, recordedAt: -1 });
+
+export default mongoose.model('PriceHistory', priceHistorySchema);
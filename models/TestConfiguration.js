@@ -1,4 +1,167 @@
 import mongoose from 'mongoose';
+import { CronExpressionParser } from 'cron-parser';
+import { devices as playwrightDevices } from 'playwright';
+
+// Cron equivalents of the schedule presets, evaluated in the schedule's time zone
+const PRESET_CRON = {
+  hourly: '0 * * * *',
+  daily: '0 0 * * *',
+  weekly: '0 0 * * 0'
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const isValidLocale = (locale) => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+const ISO_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+const urlPatternList = {
+  type: [String],
+  validate: {
+    validator: patterns => patterns.every(isValidPattern),
+    message: 'URL patterns must be valid regular expressions'
+  }
+};
+
+// How to find one page element: the same selectors, text patterns, content
+// patterns (regular expressions) and attributes as the built-in element configs
+const elementMatchers = {
+  selectors: [String],
+  textPatterns: [String],
+  contentPatterns: {
+    type: [String],
+    validate: {
+      validator: patterns => patterns.every(isValidPattern),
+      message: 'Content patterns must be valid regular expressions'
+    }
+  },
+  attributes: [{
+    _id: false,
+    name: { type: String, required: true },
+    value: { type: String, default: '' }
+  }]
+};
+
+const elementOverrideSchema = new mongoose.Schema({
+  ...elementMatchers,
+  // extend tries these before the built-in heuristics; override uses only these
+  mode: {
+    type: String,
+    enum: ['extend', 'override'],
+    default: 'extend'
+  },
+  // Left unset, the built-in rule applies: title, price, and add to cart or variants
+  required: Boolean
+}, { _id: false });
+
+const customElementSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ...elementMatchers,
+  required: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Fields each step action needs
+const STEP_REQUIRED_FIELDS = {
+  navigate: ['url'],
+  click: ['selector'],
+  fill: ['selector', 'value'],
+  waitForSelector: ['selector'],
+  assertText: ['value'],
+  assertCount: ['selector'],
+  assertUrl: ['value'],
+  assertNoJsErrors: []
+};
+
+// One declarative step of a custom flow. Selectors are Playwright selectors;
+// nothing in a step is evaluated as code.
+const stepSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: Object.keys(STEP_REQUIRED_FIELDS),
+    required: true,
+    validate: {
+      validator: function(action) {
+        return (STEP_REQUIRED_FIELDS[action] || []).every(field => this[field] != null && this[field] !== '');
+      },
+      message: props => `${props.value} steps need ${STEP_REQUIRED_FIELDS[props.value].join(' and ')}`
+    }
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // navigate: absolute, or relative to targetUrl
+  url: String,
+  selector: String,
+  // Text to fill, or the expected text or URL for the assertions
+  value: String,
+  match: {
+    type: String,
+    enum: ['contains', 'equals', 'regex'],
+    default: 'contains'
+  },
+  // assertCount: an exact count, or a range
+  count: {
+    type: Number,
+    min: 0
+  },
+  min: {
+    type: Number,
+    min: 0
+  },
+  max: {
+    type: Number,
+    min: 0
+  },
+  // waitForSelector
+  state: {
+    type: String,
+    enum: ['visible', 'attached', 'hidden', 'detached'],
+    default: 'visible'
+  },
+  timeout: {
+    type: Number,
+    min: 0
+  },
+  // Keep going with the next steps when this one fails
+  continueOnFailure: {
+    type: Boolean,
+    default: false
+  }
+});
+
+stepSchema.path('value').validate(function(value) {
+  return this.match !== 'regex' || value == null || isValidPattern(value);
+}, 'Step value must be a valid regular expression when match is regex');
 
 const testConfigurationSchema = new mongoose.Schema({
   name: {
@@ -20,6 +183,68 @@ const testConfigurationSchema = new mongoose.Schema({
     url: String,
     identifier: String
   }],
+  // Per-element selectors that extend or replace the built-in heuristics,
+  // and extra elements to look for on every product page
+  elements: {
+    title: elementOverrideSchema,
+    price: elementOverrideSchema,
+    addToCart: elementOverrideSchema,
+    description: elementOverrideSchema,
+    variants: elementOverrideSchema,
+    availability: elementOverrideSchema,
+    custom: [customElementSchema]
+  },
+  // Store-specific flow run once per browser and device, after the product pages
+  steps: [stepSchema],
+  // Find product pages from the sitemap or by crawling, on each run, in
+  // addition to the ones listed above
+  discovery: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // auto reads the sitemaps and crawls only when they list no products
+    source: {
+      type: String,
+      enum: ['auto', 'sitemap', 'crawl'],
+      default: 'auto'
+    },
+    // Regular expressions matched against full URLs
+    includePatterns: urlPatternList,
+    excludePatterns: urlPatternList,
+    // Listing pages followed from targetUrl when crawling
+    maxDepth: {
+      type: Number,
+      default: 2,
+      min: 0,
+      max: 5
+    },
+    // Pages fetched when crawling
+    maxPages: {
+      type: Number,
+      default: 50,
+      min: 1,
+      max: 500
+    },
+    maxUrls: {
+      type: Number,
+      default: 500,
+      min: 1,
+      max: 5000
+    },
+    sampling: {
+      mode: {
+        type: String,
+        enum: ['all', 'random', 'newest'],
+        default: 'all'
+      },
+      size: {
+        type: Number,
+        default: 10,
+        min: 1
+      }
+    }
+  },
   testSettings: {
     timeout: {
       type: Number,
@@ -27,7 +252,14 @@ const testConfigurationSchema = new mongoose.Schema({
     },
     retryAttempts: {
       type: Number,
-      default: 3
+      default: 3,
+      min: 0
+    },
+    // Base delay before the first retry, doubled on each further attempt
+    retryDelay: {
+      type: Number,
+      default: 1000,
+      min: 0
     },
     viewport: {
       width: {
@@ -42,7 +274,59 @@ const testConfigurationSchema = new mongoose.Schema({
     mobileTest: {
       type: Boolean,
       default: false
-    }
+    },
+    screenshots: {
+      type: Boolean,
+      default: true
+    },
+    // Save every request of each product page as a HAR file
+    recordHar: {
+      type: Boolean,
+      default: false
+    },
+    // Most variant options selected per page by the variant matrix test
+    maxVariantOptions: {
+      type: Number,
+      default: 20,
+      min: 1
+    },
+    // Flag images whose intrinsic size exceeds this multiple of their rendered size
+    imageOversizeRatio: {
+      type: Number,
+      default: 2,
+      min: 1
+    },
+    browsers: {
+      type: [{
+        type: String,
+        enum: ['chromium', 'firefox', 'webkit']
+      }],
+      default: ['chromium']
+    },
+    // Emulated devices tested alongside desktop. Fields left unset come from
+    // the Playwright device preset, if one is named.
+    devices: [{
+      name: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      preset: {
+        type: String,
+        validate: {
+          validator: value => !value || Boolean(playwrightDevices[value]),
+          message: props => `${props.value} is not a known device preset`
+        }
+      },
+      viewport: {
+        width: Number,
+        height: Number
+      },
+      userAgent: String,
+      deviceScaleFactor: Number,
+      isMobile: Boolean,
+      hasTouch: Boolean
+    }]
   },
   testTypes: {
     productPageTest: {
@@ -56,8 +340,161 @@ const testConfigurationSchema = new mongoose.Schema({
     errorDetection: {
       type: Boolean,
       default: true
+    },
+    // Click add-to-cart, confirm the cart updated, then empty the cart
+    addToCart: {
+      type: Boolean,
+      default: false
+    },
+    // Select each variant option and check price, image, stock and button agree
+    variantMatrix: {
+      type: Boolean,
+      default: false
+    },
+    // Product schema and meta tags, cross-checked with the displayed price and stock
+    structuredData: {
+      type: Boolean,
+      default: false
+    },
+    // Title, description, canonical, robots, hreflang, H1 and og:image checks
+    seo: {
+      type: Boolean,
+      default: false
+    },
+    // Request every same-origin link on the tested pages
+    linkCheck: {
+      type: Boolean,
+      default: false
+    },
+    // WCAG 2.1 A/AA audit of each product page
+    accessibility: {
+      type: Boolean,
+      default: false
+    },
+    // Product page -> cart -> checkout, stopping before payment
+    checkoutJourney: {
+      type: Boolean,
+      default: false
+    }
+  },
+  accessibility: {
+    // Pages fail on violations of this impact or worse
+    failOnImpact: {
+      type: String,
+      enum: ['critical', 'serious', 'moderate', 'minor', 'none'],
+      default: 'serious'
+    }
+  },
+  pricing: {
+    // Number format of displayed prices, e.g. de-DE; guessed from the text when unset
+    locale: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: value => !value || isValidLocale(value),
+        message: props => `${props.value} is not a supported locale`
+      }
+    },
+    // Store currency, for prices shown with a symbol several currencies use
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      validate: {
+        validator: value => !value || ISO_CURRENCIES.has(value),
+        message: props => `${props.value} is not an ISO 4217 currency code`
+      }
+    },
+    // Keep each product's price across runs and alert on large changes
+    trackHistory: {
+      type: Boolean,
+      default: false
+    },
+    maxChangePercent: {
+      type: Number,
+      default: 20,
+      min: 0
     }
   },
+  linkCheck: {
+    // Distinct links requested per run; the rest are counted as skipped
+    maxLinks: {
+      type: Number,
+      default: 200,
+      min: 1
+    },
+    // Requests in flight at once
+    concurrency: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 20
+    },
+    maxRedirects: {
+      type: Number,
+      default: 5,
+      min: 0
+    },
+    timeout: {
+      type: Number,
+      default: 10000,
+      min: 1000
+    },
+    // Regular expressions matched against full URLs of links to leave alone
+    excludePatterns: urlPatternList
+  },
+  journey: {
+    // Product to start from; defaults to the first product page
+    productUrl: {
+      type: String,
+      trim: true
+    }
+  },
+  // Per-page limits; leave a budget unset to skip it. Times in ms, page weight in bytes.
+  performanceBudgets: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    maxLcp: { type: Number, min: 0 },
+    maxFcp: { type: Number, min: 0 },
+    maxTtfb: { type: Number, min: 0 },
+    maxTbt: { type: Number, min: 0 },
+    maxCls: { type: Number, min: 0 },
+    maxLoadTime: { type: Number, min: 0 },
+    maxPageWeight: { type: Number, min: 0 },
+    maxRequests: { type: Number, min: 0 },
+    maxThirdPartyRequests: { type: Number, min: 0 },
+    maxJsErrors: { type: Number, min: 0 }
+  },
+  visualRegression: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Per-pixel color distance (0-1) that still counts as a match
+    threshold: {
+      type: Number,
+      default: 0.1,
+      min: 0,
+      max: 1
+    },
+    // Share of mismatched pixels above which the page fails
+    maxMismatchPercent: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 100
+    },
+    // Areas left out of the comparison, by selector or fixed page coordinates
+    ignoreRegions: [{
+      selector: String,
+      x: Number,
+      y: Number,
+      width: Number,
+      height: Number
+    }]
+  },
   schedule: {
     enabled: {
       type: Boolean,
@@ -65,9 +502,35 @@ const testConfigurationSchema = new mongoose.Schema({
     },
     frequency: {
       type: String,
-      enum: ['hourly', 'daily', 'weekly'],
+      enum: ['hourly', 'daily', 'weekly', 'cron'],
       default: 'daily'
-    }
+    },
+    cronExpression: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(value) {
+          if (!value) return true;
+          try {
+            CronExpressionParser.parse(value);
+            return true;
+          } catch (e) {
+            return false;
+          }
+        },
+        message: props => `${props.value} is not a valid cron expression`
+      }
+    },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimezone,
+        message: props => `${props.value} is not a valid time zone`
+      }
+    },
+    nextRunAt: Date,
+    lastRunAt: Date
   },
   createdAt: {
     type: Date,
@@ -79,8 +542,30 @@ const testConfigurationSchema = new mongoose.Schema({
   }
 });
 
+testConfigurationSchema.path('schedule.frequency').validate(function(value) {
+  return value !== 'cron' || Boolean(this.schedule?.cronExpression);
+}, 'A cron expression is required when frequency is "cron"');
+
+// Next time the schedule is due after `from`, or null when scheduling is off
+testConfigurationSchema.methods.computeNextRunAt = function(from = new Date()) {
+  const { enabled, frequency, cronExpression, timezone } = this.schedule || {};
+  if (!enabled) return null;
+
+  const expression = frequency === 'cron' ? cronExpression : PRESET_CRON[frequency];
+  return CronExpressionParser.parse(expression, { currentDate: from, tz: timezone || 'UTC' })
+    .next()
+    .toDate();
+};
+
 testConfigurationSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+
+  const scheduleChanged = ['schedule.enabled', 'schedule.frequency', 'schedule.cronExpression', 'schedule.timezone']
+    .some(path => this.isModified(path));
+  if (scheduleChanged || (this.schedule.enabled && !this.schedule.nextRunAt)) {
+    this.schedule.nextRunAt = this.computeNextRunAt();
+  }
+
   next();
 });
 
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const testJobSchema = new mongoose.Schema({
+  configurationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestConfiguration',
+    required: true
+  },
+  executionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'schedule'],
+    default: 'manual'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  workerId: String,
+  heartbeatAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Workers claim the highest priority, oldest queued job first
+testJobSchema.index({ status: 1, priority: -1, createdAt: 1 });
+
+export default mongoose.model('TestJob', testJobSchema);
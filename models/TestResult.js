@@ -1,5 +1,40 @@
 import mongoose from 'mongoose';
 
+// Every captured error records the product page and check phase that produced it
+const errorOrigin = {
+  pageUrl: String,
+  phase: {
+    type: String,
+    enum: ['product-check', 'image-check', 'journey', 'custom-steps']
+  },
+  browser: String,
+  device: String
+};
+
+const jsErrorSchema = {
+  message: String,
+  source: String,
+  line: Number,
+  column: Number,
+  stack: String,
+  timestamp: Date,
+  ...errorOrigin
+};
+
+const networkErrorSchema = {
+  url: String,
+  status: Number,
+  error: String,
+  timestamp: Date,
+  ...errorOrigin
+};
+
+const consoleWarningSchema = {
+  message: String,
+  timestamp: Date,
+  ...errorOrigin
+};
+
 const testResultSchema = new mongoose.Schema({
   configurationId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -25,51 +60,438 @@ const testResultSchema = new mongoose.Schema({
   results: {
     productPageTests: [{
       url: String,
+      browser: String,
+      device: String,
       passed: Boolean,
+      // source says whose selectors matched: configuration, platform or default
       elements: {
-        title: { present: Boolean, text: String },
-        price: { present: Boolean, text: String },
-        addToCart: { present: Boolean, clickable: Boolean },
-        description: { present: Boolean, text: String },
-        variants: { present: Boolean, count: Number }
+        title: { present: Boolean, text: String, selector: String, strategy: String, source: String },
+        price: {
+          present: Boolean,
+          text: String,
+          selector: String,
+          strategy: String,
+          source: String,
+          parsed: {
+            amount: Number,
+            currency: String,
+            currencyCandidates: [String],
+            compareAtAmount: Number,
+            onSale: Boolean,
+            isRange: Boolean,
+            minAmount: Number,
+            maxAmount: Number
+          }
+        },
+        addToCart: { present: Boolean, clickable: Boolean, selector: String, strategy: String, source: String },
+        description: { present: Boolean, text: String, selector: String, strategy: String, source: String },
+        variants: { present: Boolean, count: Number, selector: String, strategy: String, source: String },
+        availability: { present: Boolean, text: String, inStock: Boolean, selector: String, strategy: String, source: String },
+        custom: [{
+          name: String,
+          required: Boolean,
+          present: Boolean,
+          text: String,
+          selector: String,
+          strategy: String,
+          source: String
+        }]
       },
+      // Milliseconds from navigation start, except cls (unitless) and
+      // transferSize (bytes)
       performance: {
         loadTime: Number,
-        timeToInteractive: Number
+        timeToInteractive: Number,
+        ttfb: Number,
+        fcp: Number,
+        lcp: Number,
+        cls: Number,
+        tbt: Number,
+        domContentLoaded: Number,
+        transferSize: Number,
+        requestCount: Number,
+        thirdPartyRequests: Number
       },
-      errors: [String]
+      addToCartTest: {
+        attempted: Boolean,
+        success: Boolean,
+        signals: [String],
+        cartCountBefore: Number,
+        cartCountAfter: Number,
+        cartApi: {
+          url: String,
+          status: Number,
+          ok: Boolean
+        },
+        drawerSelector: String,
+        cleanedUp: Boolean,
+        jsErrors: [String],
+        errors: [String]
+      },
+      variantTests: [{
+        group: String,
+        option: String,
+        type: {
+          type: String,
+          enum: ['select', 'radio', 'swatch']
+        },
+        selected: Boolean,
+        // Selected when the page loaded, so no change was expected
+        alreadySelected: Boolean,
+        variantId: String,
+        price: String,
+        image: String,
+        availability: String,
+        inStock: Boolean,
+        addToCartPresent: Boolean,
+        addToCartEnabled: Boolean,
+        addToCartText: String,
+        changed: {
+          price: Boolean,
+          image: Boolean,
+          availability: Boolean,
+          addToCart: Boolean,
+          variant: Boolean
+        },
+        issues: [String],
+        screenshotId: String,
+        duration: Number
+      }],
+      structuredData: {
+        passed: Boolean,
+        sources: {
+          jsonLd: Boolean,
+          microdata: Boolean,
+          openGraph: Boolean,
+          twitter: Boolean
+        },
+        // Fields as extracted from each source
+        jsonLd: mongoose.Schema.Types.Mixed,
+        microdata: mongoose.Schema.Types.Mixed,
+        openGraph: mongoose.Schema.Types.Mixed,
+        twitter: mongoose.Schema.Types.Mixed,
+        missingFields: [{
+          source: String,
+          field: String
+        }],
+        mismatches: [{
+          source: String,
+          field: String,
+          expected: String,
+          actual: String,
+          message: String
+        }],
+        errors: [String],
+        warnings: [String]
+      },
+      seo: {
+        passed: Boolean,
+        title: { text: String, length: Number },
+        description: { text: String, length: Number },
+        canonical: String,
+        robots: {
+          meta: String,
+          header: String,
+          noindex: Boolean,
+          nofollow: Boolean
+        },
+        hreflang: [{
+          _id: false,
+          lang: String,
+          href: String
+        }],
+        h1Count: Number,
+        ogImage: {
+          url: String,
+          status: Number,
+          contentType: String,
+          ok: Boolean,
+          error: String
+        },
+        findings: [{
+          _id: false,
+          check: String,
+          severity: {
+            type: String,
+            enum: ['error', 'warning']
+          },
+          message: String,
+          value: String
+        }]
+      },
+      accessibility: {
+        engine: String,
+        passed: Boolean,
+        counts: {
+          critical: Number,
+          serious: Number,
+          moderate: Number,
+          minor: Number
+        },
+        rulesViolated: [String],
+        passes: Number,
+        incomplete: Number,
+        violations: [{
+          ruleId: String,
+          impact: {
+            type: String,
+            enum: ['critical', 'serious', 'moderate', 'minor', null]
+          },
+          description: String,
+          help: String,
+          helpUrl: String,
+          // Success criteria, e.g. 1.1.1
+          wcag: [String],
+          level: String,
+          selector: String,
+          html: String,
+          failureSummary: String
+        }]
+      },
+      // Rendered product compared with the platform's own product data
+      platformCheck: {
+        platform: String,
+        source: String,
+        product: {
+          title: String,
+          price: Number,
+          compareAtPrice: Number,
+          currency: String,
+          available: Boolean,
+          variantCount: Number
+        },
+        mismatches: [{
+          field: String,
+          expected: String,
+          actual: String,
+          message: String
+        }],
+        errors: [String]
+      },
+      budgetViolations: [{
+        metric: String,
+        budget: Number,
+        actual: Number,
+        message: String
+      }],
+      errors: [String],
+      pageErrors: {
+        jsErrors: [jsErrorSchema],
+        networkErrors: [networkErrorSchema],
+        consoleWarnings: [consoleWarningSchema]
+      },
+      screenshots: [String],
+      visualComparison: {
+        status: {
+          type: String,
+          enum: ['passed', 'failed', 'no-baseline', 'error']
+        },
+        baselineId: String,
+        mismatchPercent: Number,
+        mismatchedPixels: Number,
+        sizeChanged: Boolean,
+        diffScreenshotId: String,
+        error: String
+      },
+      flaky: Boolean,
+      attempts: [{
+        attempt: Number,
+        passed: Boolean,
+        errors: [String],
+        loadTime: Number,
+        startedAt: Date
+      }]
     }],
     imageValidation: [{
       url: String,
+      browser: String,
+      device: String,
       src: String,
+      sourceType: {
+        type: String,
+        enum: ['img', 'srcset', 'css']
+      },
       loaded: Boolean,
+      decoded: Boolean,
       status: Number,
+      contentType: String,
       altText: String,
+      missingAlt: Boolean,
+      lazy: Boolean,
+      visible: Boolean,
+      oversized: Boolean,
+      // Rendered size on the page
       dimensions: {
         width: Number,
         height: Number
       },
-      errors: [String]
+      naturalDimensions: {
+        width: Number,
+        height: Number
+      },
+      errors: [String],
+      warnings: [String]
     }],
-    errorDetection: {
-      jsErrors: [{
-        message: String,
-        source: String,
-        line: Number,
-        column: Number,
-        stack: String,
-        timestamp: Date
-      }],
-      networkErrors: [{
+    // The configuration's declarative steps, once per browser and device
+    customSteps: [{
+      browser: String,
+      device: String,
+      passed: Boolean,
+      duration: Number,
+      steps: [{
+        index: Number,
+        action: String,
+        name: String,
+        status: {
+          type: String,
+          enum: ['passed', 'failed', 'skipped']
+        },
+        url: String,
+        duration: Number,
+        details: mongoose.Schema.Types.Mixed,
+        screenshotId: String,
+        pageErrors: {
+          jsErrors: [jsErrorSchema],
+          networkErrors: [networkErrorSchema],
+          consoleWarnings: [consoleWarningSchema]
+        },
+        errors: [String]
+      }]
+    }],
+    // Product pages found by discovery and the ones sampled for this run
+    discovery: {
+      source: {
+        type: String,
+        enum: ['sitemap', 'crawl', null]
+      },
+      discovered: Number,
+      sitemaps: Number,
+      crawledPages: Number,
+      sampling: String,
+      sampled: [String],
+      errors: [String]
+    },
+    // Same-origin links found on the tested pages, each requested once
+    linkCheck: {
+      passed: Boolean,
+      found: Number,
+      checked: Number,
+      skipped: Number,
+      redirected: Number,
+      counts: {
+        broken: Number,
+        unpublishedProduct: Number,
+        redirectChain: Number,
+        redirectLoop: Number,
+        error: Number
+      },
+      // Only the links with an issue
+      issues: [{
+        _id: false,
         url: String,
         status: Number,
+        finalUrl: String,
+        redirects: [{
+          _id: false,
+          url: String,
+          status: Number,
+          location: String
+        }],
+        issue: {
+          type: String,
+          enum: ['broken', 'unpublished-product', 'redirect-chain', 'redirect-loop', 'error']
+        },
         error: String,
-        timestamp: Date
+        foundOn: [String]
+      }]
+    },
+    // Prices that changed too much since the last run, or are zero or unreadable
+    priceAlerts: [{
+      _id: false,
+      url: String,
+      type: {
+        type: String,
+        enum: ['change', 'zero', 'unparseable', 'currency']
+      },
+      text: String,
+      amount: Number,
+      previousAmount: Number,
+      changePercent: Number,
+      currency: String,
+      previousExecutionId: String,
+      message: String
+    }],
+    // Requests to hosts other than the store's, across the whole run
+    thirdParty: {
+      firstParty: [String],
+      requests: Number,
+      bytes: Number,
+      origins: [{
+        _id: false,
+        origin: String,
+        domain: String,
+        requests: Number,
+        bytes: Number,
+        totalTime: Number,
+        averageTime: Number,
+        failed: Number,
+        jsErrors: Number,
+        resourceTypes: [String],
+        pages: Number
+      }],
+      scripts: [{
+        _id: false,
+        url: String,
+        domain: String,
+        requests: Number,
+        bytes: Number,
+        totalTime: Number,
+        averageTime: Number,
+        failed: Number,
+        jsErrors: Number,
+        pages: Number
       }],
-      consoleWarnings: [{
-        message: String,
-        timestamp: Date
+      // Against the configuration's previous completed run
+      diff: {
+        previousExecutionId: String,
+        newDomains: [String],
+        removedDomains: [String],
+        newScripts: [String],
+        removedScripts: [String]
+      }
+    },
+    journeys: [{
+      browser: String,
+      device: String,
+      productUrl: String,
+      passed: Boolean,
+      duration: Number,
+      cleanedUp: Boolean,
+      steps: [{
+        name: {
+          type: String,
+          enum: ['product-page', 'add-to-cart', 'cart', 'checkout']
+        },
+        status: {
+          type: String,
+          enum: ['passed', 'failed', 'skipped']
+        },
+        url: String,
+        duration: Number,
+        details: mongoose.Schema.Types.Mixed,
+        screenshotId: String,
+        pageErrors: {
+          jsErrors: [jsErrorSchema],
+          networkErrors: [networkErrorSchema],
+          consoleWarnings: [consoleWarningSchema]
+        },
+        errors: [String]
       }]
+    }],
+    errorDetection: {
+      jsErrors: [jsErrorSchema],
+      networkErrors: [networkErrorSchema],
+      consoleWarnings: [consoleWarningSchema]
     }
   },
   aiAnalysis: {
@@ -85,7 +507,40 @@ const testResultSchema = new mongoose.Schema({
       max: 100
     }
   },
-  screenshots: [String],
+  screenshots: [{
+    url: String,
+    kind: {
+      type: String,
+      enum: ['page', 'element', 'error', 'diff', 'journey']
+    },
+    element: String,
+    step: String,
+    missingElements: [String],
+    ignoreRects: [{
+      x: Number,
+      y: Number,
+      width: Number,
+      height: Number
+    }],
+    error: String,
+    browser: String,
+    device: String,
+    attempt: Number,
+    storageKey: String,
+    contentType: String,
+    createdAt: Date
+  }],
+  // One per product page and browser/device, when the configuration records HAR
+  harFiles: [{
+    url: String,
+    browser: String,
+    device: String,
+    entries: Number,
+    size: Number,
+    storageKey: String,
+    contentType: String,
+    createdAt: Date
+  }],
   createdAt: {
     type: Date,
     default: Date.now
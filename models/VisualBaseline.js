@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const visualBaselineSchema = new mongoose.Schema({
+  configurationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestConfiguration',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  browser: {
+    type: String,
+    default: 'chromium'
+  },
+  device: {
+    type: String,
+    default: 'desktop'
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // Document-relative rectangles masked out when the baseline was captured
+  ignoreRects: [{
+    x: Number,
+    y: Number,
+    width: Number,
+    height: Number
+  }],
+  sourceExecutionId: String,
+  sourceScreenshotId: String,
+  approvedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One baseline per page for each browser/device combination
+visualBaselineSchema.index({ configurationId: 1, url: 1, browser: 1, device: 1 }, { unique: true });
+
+export default mongoose.model('VisualBaseline', visualBaselineSchema);
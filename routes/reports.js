@@ -1,4 +1,5 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import TestResult from '../models/TestResult.js';
 import TestConfiguration from '../models/TestConfiguration.js';
 
@@ -44,13 +45,62 @@ router.get('/dashboard', async (req, res) => {
       }
     ]);
 
+    // SEO findings across the product page checks of the period
+    const [seo] = await TestResult.aggregate([
+      {
+        $match: {
+          status: 'completed',
+          createdAt: { $gte: last30Days },
+          'results.productPageTests.seo': { $exists: true }
+        }
+      },
+      { $unwind: '$results.productPageTests' },
+      { $match: { 'results.productPageTests.seo': { $exists: true } } },
+      {
+        $facet: {
+          pages: [{
+            $group: {
+              _id: null,
+              pageChecks: { $sum: 1 },
+              passed: { $sum: { $cond: ['$results.productPageTests.seo.passed', 1, 0] } },
+              noindex: { $sum: { $cond: ['$results.productPageTests.seo.robots.noindex', 1, 0] } },
+              missingCanonical: { $sum: { $cond: [{ $ifNull: ['$results.productPageTests.seo.canonical', false] }, 0, 1] } }
+            }
+          }],
+          findings: [
+            { $unwind: '$results.productPageTests.seo.findings' },
+            {
+              $group: {
+                _id: {
+                  check: '$results.productPageTests.seo.findings.check',
+                  severity: '$results.productPageTests.seo.findings.severity'
+                },
+                count: { $sum: 1 },
+                urls: { $addToSet: '$results.productPageTests.url' }
+              }
+            },
+            { $sort: { count: -1 } },
+            { $project: { _id: 0, check: '$_id.check', severity: '$_id.severity', count: 1, urls: { $slice: ['$urls', 10] } } }
+          ]
+        }
+      }
+    ]);
+    const seoPages = seo?.pages[0] || { pageChecks: 0, passed: 0, noindex: 0, missingCanonical: 0 };
+
     res.json({
       totalConfigurations,
       totalTests,
       testsLast30Days,
       successRate: Math.round(successRate),
       recentTests,
-      riskDistribution
+      riskDistribution,
+      seo: {
+        pageChecks: seoPages.pageChecks,
+        passed: seoPages.passed,
+        noindex: seoPages.noindex,
+        missingCanonical: seoPages.missingCanonical,
+        findings: seo?.findings || []
+      }
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -64,12 +114,21 @@ router.get('/trends', async (req, res) => {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
 
+    const metrics = ['ttfb', 'fcp', 'lcp', 'cls', 'tbt', 'timeToInteractive', 'loadTime', 'transferSize', 'requestCount', 'thirdPartyRequests'];
+
     const trends = await TestResult.aggregate([
       {
         $match: {
           createdAt: { $gte: startDate }
         }
       },
+      // Average each metric over a run's pages first, then over the day's runs
+      {
+        $addFields: Object.fromEntries(metrics.map(metric => [
+          `runPerformance.${metric}`,
+          { $avg: `$results.productPageTests.performance.${metric}` }
+        ]))
+      },
       {
         $group: {
           _id: {
@@ -81,7 +140,24 @@ router.get('/trends', async (req, res) => {
           passed: {
             $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
           },
-          avgScore: { $avg: '$aiAnalysis.score' }
+          avgScore: { $avg: '$aiAnalysis.score' },
+          ...Object.fromEntries(metrics.map(metric => [
+            `avg_${metric}`,
+            { $avg: `$runPerformance.${metric}` }
+          ]))
+        }
+      },
+      {
+        $project: {
+          total: 1,
+          passed: 1,
+          avgScore: 1,
+          performance: Object.fromEntries(metrics.map(metric => [
+            metric,
+            metric === 'cls'
+              ? { $round: [`$avg_${metric}`, 3] }
+              : { $round: [`$avg_${metric}`, 0] }
+          ]))
         }
       },
       {
@@ -95,6 +171,71 @@ router.get('/trends', async (req, res) => {
   }
 });
 
+// Get per-URL flakiness across runs
+router.get('/flakiness', async (req, res) => {
+  try {
+    const { days = 30, configId } = req.query;
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(days));
+
+    // Cancelled and unfinished runs say nothing about a page's stability
+    const match = { createdAt: { $gte: startDate }, status: { $nin: ['cancelled', 'running'] } };
+    if (configId && configId !== 'all') {
+      if (!mongoose.isValidObjectId(configId)) {
+        return res.status(400).json({ error: 'Invalid configId' });
+      }
+      match.configurationId = new mongoose.Types.ObjectId(configId);
+    }
+
+    const pages = await TestResult.aggregate([
+      { $match: match },
+      { $unwind: '$results.productPageTests' },
+      // One run per execution: a page tested in several browsers and devices
+      // was flaky or failed in that run if it was in any of them
+      {
+        $group: {
+          _id: { url: '$results.productPageTests.url', executionId: '$executionId' },
+          flaky: { $max: { $cond: ['$results.productPageTests.flaky', 1, 0] } },
+          failed: { $max: { $cond: ['$results.productPageTests.passed', 0, 1] } },
+          createdAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.url',
+          runs: { $sum: 1 },
+          flakyRuns: { $sum: '$flaky' },
+          failedRuns: { $sum: '$failed' },
+          lastTested: { $max: '$createdAt' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          url: '$_id',
+          runs: 1,
+          flakyRuns: 1,
+          failedRuns: 1,
+          lastTested: 1,
+          flakinessRate: {
+            $round: [{ $multiply: [{ $divide: ['$flakyRuns', '$runs'] }, 100] }, 1]
+          },
+          failureRate: {
+            $round: [{ $multiply: [{ $divide: ['$failedRuns', '$runs'] }, 100] }, 1]
+          }
+        }
+      },
+      {
+        $sort: { flakinessRate: -1, failureRate: -1 }
+      }
+    ]);
+
+    res.json(pages);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Export test results
 router.get('/export/:format', async (req, res) => {
   try {
@@ -1,7 +1,17 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import TestConfiguration from '../models/TestConfiguration.js';
 import TestResult from '../models/TestResult.js';
+import TestJob from '../models/TestJob.js';
 import BrowserTestService from '../services/BrowserTestService.js';
+import JobQueueService from '../services/JobQueueService.js';
+import TestProgressService from '../services/TestProgressService.js';
+import ArtifactStorageService from '../services/ArtifactStorageService.js';
+import VisualBaseline from '../models/VisualBaseline.js';
+import VisualRegressionService from '../services/VisualRegressionService.js';
+import ProductDiscoveryService from '../services/ProductDiscoveryService.js';
+import NetworkCaptureService from '../services/NetworkCaptureService.js';
+import PriceHistory from '../models/PriceHistory.js';
 
 const router = express.Router();
 
@@ -30,15 +40,16 @@ router.post('/configurations', async (req, res) => {
 // Update test configuration
 router.put('/configurations/:id', async (req, res) => {
   try {
-    const configuration = await TestConfiguration.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Load and save rather than findByIdAndUpdate so the save hook
+    // recalculates the schedule's next run
+    const configuration = await TestConfiguration.findById(req.params.id);
     
     if (!configuration) {
       return res.status(404).json({ error: 'Configuration not found' });
     }
+
+    configuration.set(req.body);
+    await configuration.save();
     
     res.json(configuration);
   } catch (error) {
@@ -55,8 +66,14 @@ router.delete('/configurations/:id', async (req, res) => {
       return res.status(404).json({ error: 'Configuration not found' });
     }
     
-    // Also delete associated test results
+    // Also delete associated test results and their stored artifacts
+    const results = await TestResult.find({ configurationId: req.params.id }, 'executionId');
+    for (const result of results) {
+      await ArtifactStorageService.removeExecution(result.executionId);
+    }
     await TestResult.deleteMany({ configurationId: req.params.id });
+    await VisualRegressionService.deleteConfigurationBaselines(req.params.id);
+    await PriceHistory.deleteMany({ configurationId: req.params.id });
     
     res.json({ message: 'Configuration deleted successfully' });
   } catch (error) {
@@ -64,6 +81,127 @@ router.delete('/configurations/:id', async (req, res) => {
   }
 });
 
+// List the product pages discovery would find, without saving or running
+// anything. Discovery settings in the body override the saved ones.
+router.post('/configurations/:id/discovery/preview', async (req, res) => {
+  try {
+    const configuration = await TestConfiguration.findById(req.params.id);
+
+    if (!configuration) {
+      return res.status(404).json({ error: 'Configuration not found' });
+    }
+
+    // Cast and check the overrides with the schema's own rules and limits,
+    // on the unsaved document. Only discovery paths are validated, so other
+    // saved settings cannot block a preview.
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const discoveryPaths = Object.keys(configuration.schema.paths).filter(path => path.startsWith('discovery.'));
+    const fields = new Set(discoveryPaths.map(path => path.split('.')[1]));
+    const unknown = Object.keys(body).filter(key => !fields.has(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown discovery settings: ${unknown.join(', ')}` });
+    }
+
+    configuration.set('discovery', { ...configuration.discovery?.toObject(), ...body });
+    const invalid = configuration.validateSync(discoveryPaths);
+    if (invalid) {
+      return res.status(400).json({ error: invalid.message });
+    }
+
+    const discovered = await ProductDiscoveryService.discover(configuration);
+    const sample = ProductDiscoveryService.sample(discovered.urls, configuration.discovery.sampling);
+
+    res.json({
+      source: discovered.source,
+      total: discovered.urls.length,
+      sitemaps: discovered.sitemaps,
+      crawledPages: discovered.crawledPages,
+      errors: discovered.errors,
+      urls: discovered.urls,
+      sample: sample.map(entry => entry.url)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Price history of a configuration's product pages, newest first. Filter
+// with ?url= and limit with ?limit= (per page, default 50).
+router.get('/configurations/:id/prices', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Configuration not found' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const match = { configurationId: new mongoose.Types.ObjectId(req.params.id) };
+    if (req.query.url) match.url = req.query.url;
+
+    const history = await PriceHistory.aggregate([
+      { $match: match },
+      { $sort: { recordedAt: -1 } },
+      {
+        $group: {
+          _id: '$url',
+          latest: { $first: '$$ROOT' },
+          entries: { $push: { amount: '$amount', currency: '$currency', compareAtAmount: '$compareAtAmount', onSale: '$onSale', text: '$text', executionId: '$executionId', recordedAt: '$recordedAt' } }
+        }
+      },
+      { $project: { _id: 0, url: '$_id', amount: '$latest.amount', currency: '$latest.currency', recordedAt: '$latest.recordedAt', entries: { $slice: ['$entries', limit] } } },
+      { $sort: { url: 1 } }
+    ]);
+
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get visual baselines of a configuration
+router.get('/configurations/:id/baselines', async (req, res) => {
+  try {
+    const baselines = await VisualBaseline.find({ configurationId: req.params.id })
+      .sort({ url: 1, browser: 1, device: 1 });
+    res.json(baselines);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Serve a baseline image
+router.get('/configurations/:id/baselines/:baselineId/image', async (req, res) => {
+  try {
+    const baseline = await VisualBaseline.findOne({ _id: req.params.baselineId, configurationId: req.params.id });
+
+    if (!baseline || !(await ArtifactStorageService.exists(baseline.storageKey))) {
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.type('image/png');
+    ArtifactStorageService.createReadStream(baseline.storageKey)
+      .on('error', () => res.end())
+      .pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a visual baseline; the page gets a new one once a run is approved
+router.delete('/configurations/:id/baselines/:baselineId', async (req, res) => {
+  try {
+    const baseline = await VisualBaseline.findOne({ _id: req.params.baselineId, configurationId: req.params.id });
+
+    if (!baseline) {
+      return res.status(404).json({ error: 'Baseline not found' });
+    }
+
+    await VisualRegressionService.deleteBaseline(baseline);
+    res.json({ message: 'Baseline deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Run test
 router.post('/run/:configId', async (req, res) => {
   try {
@@ -73,19 +211,59 @@ router.post('/run/:configId', async (req, res) => {
       return res.status(404).json({ error: 'Configuration not found' });
     }
 
-    // Start test execution asynchronously
-    BrowserTestService.runTest(configuration)
-      .catch(error => console.error('Test execution error:', error));
+    // Queue the run; a worker picks it up once a slot is free
+    const priority = parseInt(req.body?.priority) || 0;
+    const job = await JobQueueService.enqueue(configuration, { priority });
+    const position = await JobQueueService.getQueuePosition(job);
 
-    res.json({ 
-      message: 'Test execution started',
-      configurationId: req.params.configId
+    res.status(202).json({ 
+      message: 'Test execution queued',
+      configurationId: req.params.configId,
+      executionId: job.executionId,
+      eventsUrl: `/api/tests/results/${job.executionId}/events`,
+      jobId: job._id,
+      status: job.status,
+      priority: job.priority,
+      position
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Get queued and running jobs
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = status ? { status } : { status: { $in: ['queued', 'running'] } };
+
+    const jobs = await TestJob.find(filter)
+      .sort({ priority: -1, createdAt: 1 })
+      .populate('configurationId', 'name targetUrl platform');
+
+    res.json(jobs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get job status and queue position
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await TestJob.findById(req.params.jobId)
+      .populate('configurationId', 'name targetUrl platform');
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const position = await JobQueueService.getQueuePosition(job);
+    res.json({ ...job.toObject(), position });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get test results
 router.get('/results/:configId', async (req, res) => {
   try {
@@ -126,6 +304,279 @@ router.get('/results/:configId', async (req, res) => {
 
 
 
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+// How often an open event stream rereads the job, for runs on other instances
+const EVENTS_POLL_INTERVAL = 5000;
+
+// Outcome of an execution from its job and result, or null while it is still going.
+// A job can end without a TestResult, e.g. when its configuration was deleted.
+// An unfinished job means the run is still going even when a failed attempt
+// left a failed TestResult behind.
+const finishedOutcome = (job, result) => {
+  if (job && !FINISHED_JOB_STATUSES.includes(job.status)) {
+    return null;
+  }
+  if (result && result.status !== 'running') {
+    return { status: result.status, duration: result.duration };
+  }
+  if (job && FINISHED_JOB_STATUSES.includes(job.status)) {
+    return { status: job.status, ...(job.error && { error: job.error }) };
+  }
+  return null;
+};
+
+// Stream live progress for an execution as Server-Sent Events. Detailed
+// progress comes from this instance's runs; runs on other instances report
+// status changes and the outcome, read from Mongo.
+router.get('/results/:executionId/events', async (req, res) => {
+  try {
+    const { executionId } = req.params;
+    const job = await TestJob.findOne({ executionId });
+    const result = await TestResult.findOne({ executionId }, 'status duration');
+
+    if (!job && !result) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Already finished: report the outcome and close
+    const outcome = finishedOutcome(job, result);
+    if (outcome) {
+      send({ type: 'done', executionId, ...outcome });
+      return res.end();
+    }
+
+    let lastStatus = job?.status || result.status;
+    send({
+      type: 'status',
+      executionId,
+      status: lastStatus,
+      position: job ? await JobQueueService.getQueuePosition(job) : null
+    });
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let unsubscribe = null;
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(keepAlive);
+      clearInterval(poll);
+      unsubscribe?.();
+      res.end();
+    };
+
+    const poll = setInterval(async () => {
+      try {
+        const [currentJob, currentResult] = await Promise.all([
+          TestJob.findOne({ executionId }),
+          TestResult.findOne({ executionId }, 'status duration')
+        ]);
+        if (closed) return;
+
+        const finished = finishedOutcome(currentJob, currentResult);
+        if (finished) {
+          send({ type: 'done', executionId, ...finished });
+          return close();
+        }
+
+        const status = currentJob?.status || currentResult?.status;
+        if (status && status !== lastStatus) {
+          lastStatus = status;
+          send({
+            type: 'status',
+            executionId,
+            status,
+            position: currentJob ? await JobQueueService.getQueuePosition(currentJob) : null
+          });
+        }
+      } catch (error) {
+        // Try again on the next tick
+      }
+    }, EVENTS_POLL_INTERVAL);
+
+    unsubscribe = TestProgressService.subscribe(executionId, (event) => {
+      send(event);
+      if (event.type === 'done') close();
+    });
+
+    // The replayed history may already have ended the stream
+    if (closed) unsubscribe();
+
+    req.on('close', close);
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a queued or running execution
+router.post('/results/:executionId/cancel', async (req, res) => {
+  try {
+    const { executionId } = req.params;
+    const outcome = await JobQueueService.cancel(executionId);
+
+    if (!outcome) {
+      const result = await TestResult.findOne({ executionId }, 'status');
+      if (!result) {
+        return res.status(404).json({ error: 'Execution not found' });
+      }
+      // Runs started outside the queue can still be stopped on this instance
+      if (result.status === 'running' && BrowserTestService.cancel(executionId)) {
+        return res.status(202).json({ message: 'Cancellation requested', executionId, status: 'cancelling' });
+      }
+      return res.status(409).json({ error: `Execution is already ${result.status}` });
+    }
+
+    if (outcome.status === 'finished') {
+      return res.status(409).json({ error: `Execution is already ${outcome.job.status}` });
+    }
+
+    res.status(outcome.status === 'cancelled' ? 200 : 202).json({
+      message: outcome.status === 'cancelled' ? 'Execution cancelled' : 'Cancellation requested',
+      executionId,
+      status: outcome.status
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Serve a screenshot captured during an execution
+router.get('/results/:executionId/screenshots/:id', async (req, res) => {
+  try {
+    const result = await TestResult.findOne({ executionId: req.params.executionId }, 'screenshots');
+    const screenshot = mongoose.isValidObjectId(req.params.id) && result?.screenshots.id(req.params.id);
+
+    if (!screenshot) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+    if (!(await ArtifactStorageService.exists(screenshot.storageKey))) {
+      return res.status(404).json({ error: 'Screenshot file not found' });
+    }
+
+    // Let the dashboard on another origin embed the image
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.type(screenshot.contentType || 'image/png');
+    ArtifactStorageService.createReadStream(screenshot.storageKey)
+      .on('error', () => res.end())
+      .pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download every HAR file of an execution as one log
+router.get('/results/:executionId/har', async (req, res) => {
+  try {
+    const result = await TestResult.findOne({ executionId: req.params.executionId }, 'harFiles');
+    if (!result?.harFiles.length) {
+      return res.status(404).json({ error: 'No HAR files recorded for this execution' });
+    }
+
+    const hars = [];
+    for (const harFile of result.harFiles) {
+      try {
+        hars.push(JSON.parse((await ArtifactStorageService.read(harFile.storageKey)).toString('utf8')));
+      } catch (error) {
+        // Missing or unreadable files are left out of the download
+      }
+    }
+
+    res.attachment(`${req.params.executionId}.har`);
+    res.type('application/json');
+    res.send(JSON.stringify(NetworkCaptureService.mergeHars(hars)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the HAR file of one product page
+router.get('/results/:executionId/har/:id', async (req, res) => {
+  try {
+    const result = await TestResult.findOne({ executionId: req.params.executionId }, 'harFiles');
+    const harFile = mongoose.isValidObjectId(req.params.id) && result?.harFiles.id(req.params.id);
+
+    if (!harFile) {
+      return res.status(404).json({ error: 'HAR file not found' });
+    }
+    if (!(await ArtifactStorageService.exists(harFile.storageKey))) {
+      return res.status(404).json({ error: 'HAR file not found in storage' });
+    }
+
+    res.attachment(`${req.params.executionId}-${harFile._id}.har`);
+    res.type(harFile.contentType || 'application/json');
+    ArtifactStorageService.createReadStream(harFile.storageKey)
+      .on('error', () => res.end())
+      .pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Third-party inventory of an execution, compared with the run before it
+// or with the execution named by ?against=
+router.get('/results/:executionId/third-party', async (req, res) => {
+  try {
+    const result = await TestResult.findOne({ executionId: req.params.executionId }, 'executionId results.thirdParty');
+    if (!result?.results?.thirdParty?.origins) {
+      return res.status(404).json({ error: 'No third-party inventory for this execution' });
+    }
+
+    const inventory = result.results.thirdParty;
+    if (!req.query.against) {
+      return res.json({ executionId: result.executionId, inventory, diff: inventory.diff });
+    }
+
+    const other = await TestResult.findOne({ executionId: req.query.against }, 'executionId results.thirdParty');
+    if (!other?.results?.thirdParty?.origins) {
+      return res.status(404).json({ error: `No third-party inventory for execution ${req.query.against}` });
+    }
+    res.json({
+      executionId: result.executionId,
+      inventory,
+      diff: { previousExecutionId: other.executionId, ...NetworkCaptureService.diffInventories(other.results.thirdParty, inventory) }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve an execution's page screenshots as the visual baselines.
+// Pass screenshotIds in the body to approve only some pages.
+router.post('/results/:executionId/baselines', async (req, res) => {
+  try {
+    const { screenshotIds } = req.body || {};
+    if (screenshotIds !== undefined && !Array.isArray(screenshotIds)) {
+      return res.status(400).json({ error: 'screenshotIds must be an array' });
+    }
+
+    const baselines = await VisualRegressionService.approveExecution(req.params.executionId, { screenshotIds });
+
+    if (!baselines) {
+      return res.status(404).json({ error: 'Test result not found' });
+    }
+
+    res.json({
+      message: `Approved ${baselines.length} baselines`,
+      baselines
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get specific test result
 router.get('/results/detail/:executionId', async (req, res) => {
   try {
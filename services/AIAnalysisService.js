@@ -61,9 +61,14 @@ class AIAnalysisService {
       productPagesPassed: results.productPageTests.filter(t => t.passed).length,
       imagesTotal: results.imageValidation.length,
       imagesLoaded: results.imageValidation.filter(i => i.loaded).length,
+      imagesOversized: results.imageValidation.filter(i => i.oversized).length,
+      imagesMissingAlt: results.imageValidation.filter(i => i.missingAlt).length,
       jsErrorsCount: results.errorDetection.jsErrors.length,
       networkErrorsCount: results.errorDetection.networkErrors.length,
-      warningsCount: results.errorDetection.consoleWarnings.length
+      warningsCount: results.errorDetection.consoleWarnings.length,
+      budgetViolations: this.getBudgetViolations(results.productPageTests),
+      failedJourneySteps: this.getFailedJourneySteps(results.journeys),
+      accessibility: this.getAccessibilitySummary(results.productPageTests)
     };
 
     return `Analyze the following ecommerce website test results:
@@ -77,14 +82,44 @@ Image Loading:
 - Total images: ${summary.imagesTotal}
 - Successfully loaded: ${summary.imagesLoaded}
 - Failed to load: ${summary.imagesTotal - summary.imagesLoaded}
+- Oversized for their display size: ${summary.imagesOversized}
+- Missing alt text: ${summary.imagesMissingAlt}
 
 Errors Detected:
 - JavaScript errors: ${summary.jsErrorsCount}
 - Network failures: ${summary.networkErrorsCount}
 - Console warnings: ${summary.warningsCount}
 
+Accessibility (WCAG 2.1 A/AA):
+- Pages audited: ${summary.accessibility.pagesAudited}
+- Violations by impact: ${Object.entries(summary.accessibility.counts).map(([impact, count]) => `${impact} ${count}`).join(', ')}
+- Most common rules: ${summary.accessibility.topRules.map(rule => `${rule.ruleId} (WCAG ${rule.wcag.join(', ') || 'best practice'}, ${rule.count}x)`).join(', ') || 'None'}
+
+Checkout Journeys:
+- Journeys run: ${(results.journeys || []).length}
+- Failed steps: ${summary.failedJourneySteps.map(s => `${s.name} (${s.errors[0] || 'failed'})`).join(', ') || 'None'}
+
+Links:
+- Checked: ${results.linkCheck?.checked ?? 'not run'}
+- Broken: ${results.linkCheck?.counts?.broken ?? 0}, unpublished products: ${results.linkCheck?.counts?.unpublishedProduct ?? 0}, redirect chains: ${results.linkCheck?.counts?.redirectChain ?? 0}, redirect loops: ${results.linkCheck?.counts?.redirectLoop ?? 0}
+
+Prices:
+- Alerts: ${(results.priceAlerts || []).map(a => a.message).slice(0, 5).join('; ') || 'None'}
+
+Third-Party Scripts:
+- Third-party origins: ${results.thirdParty?.origins?.length ?? 0}
+- New since the previous run: ${results.thirdParty?.diff?.newDomains?.join(', ') || 'None'}
+- Origins causing JavaScript errors: ${(results.thirdParty?.origins || []).filter(o => o.jsErrors > 0).map(o => `${o.domain} (${o.jsErrors})`).join(', ') || 'None'}
+
+Custom Steps:
+- Failed steps: ${(results.customSteps || []).flatMap(flow => flow.steps.filter(s => s.status === 'failed')).map(s => `${s.name} (${s.errors[0] || 'failed'})`).join(', ') || 'None'}
+
+Performance Budgets:
+- Violations: ${summary.budgetViolations.length}
+${summary.budgetViolations.slice(0, 5).map(v => `- ${v.url}: ${v.message}`).join('\n')}
+
 Most critical JavaScript errors:
-${results.errorDetection.jsErrors.slice(0, 3).map(e => `- ${e.message}`).join('\n')}
+${results.errorDetection.jsErrors.slice(0, 3).map(e => `- ${e.message}${e.pageUrl ? ` (on ${e.pageUrl}, ${e.phase})` : ''}`).join('\n')}
 
 Please provide:
 1. Overall risk level (low/medium/high/critical)
@@ -93,12 +128,47 @@ Please provide:
 4. Brief summary of findings`;
   }
 
+  getBudgetViolations(productPageTests) {
+    return productPageTests.flatMap(test =>
+      (test.budgetViolations || []).map(violation => ({ url: test.url, ...violation.toObject?.() ?? violation }))
+    );
+  }
+
+  getAccessibilitySummary(productPageTests) {
+    const audited = productPageTests.filter(test => test.accessibility);
+    const counts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+    const rules = new Map();
+
+    for (const violation of audited.flatMap(test => test.accessibility.violations || [])) {
+      if (violation.impact in counts) counts[violation.impact]++;
+      const rule = rules.get(violation.ruleId) || { ruleId: violation.ruleId, wcag: violation.wcag || [], impact: violation.impact, count: 0 };
+      rule.count++;
+      rules.set(violation.ruleId, rule);
+    }
+
+    return {
+      pagesAudited: audited.length,
+      counts,
+      topRules: [...rules.values()].sort((a, b) => b.count - a.count).slice(0, 5)
+    };
+  }
+
+  getFailedJourneySteps(journeys = []) {
+    return journeys.flatMap(journey => journey.steps.filter(step => step.status === 'failed'));
+  }
+
   getCriticalElementIssues(productPageTests) {
     const issues = [];
     productPageTests.forEach(test => {
       if (!test.elements.title.present) issues.push('Missing product titles');
       if (!test.elements.price.present) issues.push('Missing price display');
       if (!test.elements.addToCart.present) issues.push('Missing add to cart buttons');
+      if (test.addToCartTest?.attempted && !test.addToCartTest.success) issues.push('Add to cart clicks not updating the cart');
+      if (test.seo?.robots?.noindex) issues.push('Product pages marked noindex');
+      if (test.seo && !test.seo.canonical) issues.push('Product pages without a canonical URL');
+      if (test.platformCheck?.mismatches?.length > 0) issues.push('Rendered product disagreeing with the platform product data');
+      if (test.structuredData?.mismatches?.length > 0) issues.push('Product schema disagreeing with the displayed price or stock');
+      if ((test.variantTests || []).some(variant => variant.issues.length > 0)) issues.push('Variants with inconsistent price, stock or add to cart state');
     });
     return [...new Set(issues)].join(', ') || 'None';
   }
@@ -165,17 +235,57 @@ Please provide:
     const passRate = totalProductPages > 0 ? (productPagesPassed / totalProductPages) * 100 : 100;
     const imageSuccessRate = totalImages > 0 ? (imagesLoaded / totalImages) * 100 : 100;
     
-    const score = Math.round((passRate + imageSuccessRate) / 2);
+    // Each budget violation costs 5 points, at most 30
+    const budgetViolations = this.getBudgetViolations(results.productPageTests);
+    const budgetPenalty = Math.min(30, budgetViolations.length * 5);
+
+    const score = Math.max(0, Math.round((passRate + imageSuccessRate) / 2) - budgetPenalty);
     
     const riskLevel = score > 80 ? 'low' : score > 60 ? 'medium' : score > 40 ? 'high' : 'critical';
     
     const recommendations = [];
+    // Wrong prices cost money on every order, so they come first
+    const priceAlerts = results.priceAlerts || [];
+    if (priceAlerts.length > 0) {
+      recommendations.push(`Check product prices before shoppers do: ${priceAlerts[0].message}${priceAlerts.length > 1 ? ` (and ${priceAlerts.length - 1} more)` : ''}`);
+    }
     if (productPagesPassed < totalProductPages) {
       recommendations.push('Fix missing critical elements on product pages');
     }
     if (imagesLoaded < totalImages) {
       recommendations.push('Resolve image loading issues');
     }
+    const inconsistentVariants = results.productPageTests.flatMap(test => (test.variantTests || []).filter(variant => variant.issues.length > 0));
+    if (inconsistentVariants.length > 0) {
+      recommendations.push(`Fix ${inconsistentVariants.length} product variants whose price, stock message and add to cart button disagree`);
+    }
+    const schemaMismatches = results.productPageTests.filter(test => test.structuredData && !test.structuredData.passed);
+    if (schemaMismatches.length > 0) {
+      recommendations.push(`Fix product structured data on ${schemaMismatches.length} pages so it matches what shoppers see`);
+    }
+    const accessibility = this.getAccessibilitySummary(results.productPageTests);
+    if (accessibility.counts.critical + accessibility.counts.serious > 0) {
+      recommendations.push(`Fix ${accessibility.counts.critical + accessibility.counts.serious} critical or serious accessibility violations (${accessibility.topRules[0].ruleId} is the most common)`);
+    }
+    const failedJourneySteps = this.getFailedJourneySteps(results.journeys);
+    if (failedJourneySteps.length > 0) {
+      recommendations.push(`Fix the checkout journey failing at the ${failedJourneySteps[0].name} step`);
+    }
+    const failedCustomSteps = (results.customSteps || []).flatMap(flow => flow.steps.filter(step => step.status === 'failed'));
+    if (failedCustomSteps.length > 0) {
+      recommendations.push(`Fix the store flow failing at step "${failedCustomSteps[0].name}"`);
+    }
+    const deadLinks = (results.linkCheck?.counts?.broken ?? 0) + (results.linkCheck?.counts?.unpublishedProduct ?? 0) + (results.linkCheck?.counts?.redirectLoop ?? 0);
+    if (deadLinks > 0) {
+      recommendations.push(`Fix or remove ${deadLinks} dead links on product pages`);
+    }
+    const newDomains = results.thirdParty?.diff?.newDomains || [];
+    if (newDomains.length > 0) {
+      recommendations.push(`Review third-party scripts from new domains: ${newDomains.slice(0, 3).join(', ')}`);
+    }
+    if (budgetViolations.length > 0) {
+      recommendations.push(`Bring pages within performance budgets (${budgetViolations.length} violations)`);
+    }
     if (results.errorDetection.jsErrors.length > 0) {
       recommendations.push('Address JavaScript errors');
     }
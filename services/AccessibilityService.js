@@ -0,0 +1,128 @@
+import axe from 'axe-core';
+
+// WCAG 2.1 A and AA rules, plus best-practice rules the audit is expected
+// to cover even though WCAG does not tag them
+const WCAG_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+const EXTRA_RULES = ['heading-order', 'empty-heading', 'landmark-one-main', 'region'];
+
+const IMPACT_ORDER = ['minor', 'moderate', 'serious', 'critical'];
+
+// Offending elements kept per rule
+const MAX_NODES_PER_RULE = 10;
+
+class AccessibilityService {
+  // 'wcag111' -> '1.1.1'; the level tags (wcag2aa, wcag21a) name no criterion
+  wcagCriteria(tags = []) {
+    return tags
+      .map(tag => tag.match(/^wcag(\d)(\d)(\d+)$/))
+      .filter(Boolean)
+      .map(([, principle, guideline, criterion]) => `${principle}.${guideline}.${criterion}`);
+  }
+
+  wcagLevel(tags = []) {
+    if (tags.some(tag => /^wcag2\d?a$/.test(tag))) return 'A';
+    if (tags.some(tag => /^wcag2\d?aa$/.test(tag))) return 'AA';
+    return null;
+  }
+
+  // Whether `impact` is at or above `threshold` ('none' never is)
+  atLeast(impact, threshold) {
+    if (threshold === 'none') return false;
+    return IMPACT_ORDER.indexOf(impact) >= IMPACT_ORDER.indexOf(threshold);
+  }
+
+  // The add-to-cart control must take keyboard focus, or keyboard users
+  // cannot buy at all
+  async checkFocusable(element) {
+    const focusable = await element.evaluate((node) => {
+      node.focus();
+      const focused = document.activeElement === node || node.contains(document.activeElement);
+      node.blur?.();
+      return focused && node.tabIndex >= 0;
+    }).catch(() => null);
+
+    if (focusable !== false) return null;
+    return {
+      ruleId: 'add-to-cart-focusable',
+      impact: 'serious',
+      description: 'Add to cart control cannot be reached with the keyboard',
+      help: 'Use a <button> or give the control tabindex="0" and a key handler',
+      helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/keyboard.html',
+      wcag: ['2.1.1'],
+      level: 'A',
+      selector: null,
+      html: (await element.evaluate(node => node.outerHTML.substring(0, 300)).catch(() => '')),
+      failureSummary: 'Element does not receive focus'
+    };
+  }
+
+  // Run the bundled axe-core rules in the page. No network access needed:
+  // the engine is injected from node_modules.
+  async audit(page, { addToCartElement = null, failOnImpact = 'serious' } = {}) {
+    const hasAxe = await page.evaluate(() => typeof window.axe !== 'undefined').catch(() => false);
+    if (!hasAxe) {
+      // Evaluate rather than add a script tag, which a strict CSP would block
+      await page.evaluate(`${axe.source};void 0`);
+    }
+
+    const results = await page.evaluate(async ({ tags, extraRules }) => {
+      const outcome = await window.axe.run(document, {
+        runOnly: { type: 'tag', values: tags },
+        rules: Object.fromEntries(extraRules.map(rule => [rule, { enabled: true }])),
+        resultTypes: ['violations']
+      });
+      return {
+        violations: outcome.violations.map(violation => ({
+          id: violation.id,
+          impact: violation.impact,
+          description: violation.description,
+          help: violation.help,
+          helpUrl: violation.helpUrl,
+          tags: violation.tags,
+          nodes: violation.nodes.map(node => ({
+            target: node.target.flat().join(' '),
+            html: node.html.substring(0, 300),
+            failureSummary: node.failureSummary
+          }))
+        })),
+        passes: outcome.passes.length,
+        incomplete: outcome.incomplete.length
+      };
+    }, { tags: WCAG_TAGS, extraRules: EXTRA_RULES });
+
+    const violations = results.violations.flatMap(violation => violation.nodes.slice(0, MAX_NODES_PER_RULE).map(node => ({
+      ruleId: violation.id,
+      impact: violation.impact,
+      description: violation.description,
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      wcag: this.wcagCriteria(violation.tags),
+      level: this.wcagLevel(violation.tags),
+      selector: node.target,
+      html: node.html,
+      failureSummary: node.failureSummary
+    })));
+
+    if (addToCartElement) {
+      const focusViolation = await this.checkFocusable(addToCartElement);
+      if (focusViolation) violations.push(focusViolation);
+    }
+
+    const counts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+    for (const violation of violations) {
+      if (violation.impact in counts) counts[violation.impact]++;
+    }
+
+    return {
+      engine: `axe-core ${axe.version}`,
+      passed: !violations.some(violation => this.atLeast(violation.impact, failOnImpact)),
+      counts,
+      rulesViolated: [...new Set(violations.map(violation => violation.ruleId))],
+      passes: results.passes,
+      incomplete: results.incomplete,
+      violations
+    };
+  }
+}
+
+export default new AccessibilityService();
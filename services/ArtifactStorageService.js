@@ -0,0 +1,75 @@
+import LocalDiskStorage from './storage/LocalDiskStorage.js';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Stores binary artifacts (screenshots and the like) produced by test runs.
+ *
+ * A backend is any object implementing:
+ *   save(key, data, contentType) -> Promise<void>
+ *   read(key)                    -> Promise<Buffer>
+ *   createReadStream(key)        -> Readable
+ *   exists(key)                  -> Promise<boolean>
+ *   removePrefix(prefix)         -> Promise<void>  (a single key or everything under it)
+ *
+ * Register other backends with registerBackend() and select one with the
+ * ARTIFACT_STORAGE environment variable.
+ */
+class ArtifactStorageService {
+  constructor() {
+    this.factories = {
+      local: () => new LocalDiskStorage({ root: process.env.ARTIFACT_STORAGE_DIR })
+    };
+    this.backend = null;
+  }
+
+  registerBackend(name, factory) {
+    this.factories[name] = factory;
+    this.backend = null;
+  }
+
+  getBackend() {
+    if (!this.backend) {
+      const name = process.env.ARTIFACT_STORAGE || 'local';
+      const factory = this.factories[name];
+      if (!factory) {
+        throw new Error(`Unknown artifact storage backend: ${name}`);
+      }
+      this.backend = factory();
+      logger.info(`Artifact storage backend: ${name}`);
+    }
+    return this.backend;
+  }
+
+  save(key, data, contentType) {
+    return this.getBackend().save(key, data, contentType);
+  }
+
+  read(key) {
+    return this.getBackend().read(key);
+  }
+
+  createReadStream(key) {
+    return this.getBackend().createReadStream(key);
+  }
+
+  exists(key) {
+    return this.getBackend().exists(key);
+  }
+
+  remove(key) {
+    return this.getBackend().removePrefix(key);
+  }
+
+  // Artifacts are keyed under their executionId, so this removes a whole run's files
+  removeExecution(executionId) {
+    return this.getBackend().removePrefix(executionId);
+  }
+}
+
+export default new ArtifactStorageService();
@@ -1,7 +1,21 @@
-import { chromium } from 'playwright';
+import { chromium, firefox, webkit, devices } from 'playwright';
 import { v4 as uuidv4 } from 'uuid';
+import mongoose from 'mongoose';
 import TestResult from '../models/TestResult.js';
 import AIAnalysisService from './AIAnalysisService.js';
+import TestProgressService from './TestProgressService.js';
+import ArtifactStorageService from './ArtifactStorageService.js';
+import VisualRegressionService from './VisualRegressionService.js';
+import CartVerificationService from './CartVerificationService.js';
+import VariantMatrixService from './VariantMatrixService.js';
+import StructuredDataService from './StructuredDataService.js';
+import PlatformAdapterService from './PlatformAdapterService.js';
+import ProductDiscoveryService from './ProductDiscoveryService.js';
+import AccessibilityService from './AccessibilityService.js';
+import SeoService from './SeoService.js';
+import LinkCheckService from './LinkCheckService.js';
+import NetworkCaptureService from './NetworkCaptureService.js';
+import PriceService from './PriceService.js';
 import winston from 'winston';
 
 const logger = winston.createLogger({
@@ -10,141 +24,582 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
+// Mobile profiles tested when mobileTest is on but no devices are listed
+const DEFAULT_MOBILE_DEVICES = ['iPhone 13', 'Pixel 7'];
+
+const BROWSER_TYPES = { chromium, firefox, webkit };
+
+// Add-to-cart heuristics, shared by the product page check and journeys
+const ADD_TO_CART_CONFIG = {
+  selectors: [
+    'button[type="submit"]', 'input[type="submit"]',
+    '[class*="add" i][class*="cart" i]', '[class*="cart" i][class*="btn" i]',
+    '[class*="buy" i]', '[class*="purchase" i]', '[class*="shop" i]',
+    'button', 'input[type="button"]', '[role="button"]',
+    '[data-testid*="add" i]', '[data-testid*="cart" i]', '[data-testid*="buy" i]'
+  ],
+  textPatterns: [
+    'Add to Cart', 'Add to Bag', 'Buy Now', 'Purchase', 'Add to Basket',
+    'Shop Now', 'Order Now', 'Add', 'Buy', 'Cart'
+  ],
+  attributes: [
+    { name: 'data-testid', value: 'add' },
+    { name: 'data-testid', value: 'cart' },
+    { name: 'data-action', value: 'add-to-cart' }
+  ]
+};
+
+// Elements testProductPage always looks for; configurations can tune each
+const BUILT_IN_ELEMENTS = ['title', 'price', 'addToCart', 'description', 'variants', 'availability'];
+
+const CHECKOUT_BUTTON_CONFIG = {
+  selectors: [
+    'button[name="checkout"]', '#checkout', 'button[class*="checkout" i]',
+    'a[class*="checkout" i]', 'a[href*="/checkout"]', '[class*="checkout" i] button'
+  ],
+  textPatterns: ['Check out', 'Checkout', 'Proceed to checkout', 'Proceed to Checkout'],
+  attributes: [
+    { name: 'data-testid', value: 'checkout' },
+    { name: 'name', value: 'checkout' }
+  ]
+};
+
+// Any of these visible means the checkout's contact or shipping step rendered
+const CHECKOUT_FORM_SELECTORS = [
+  'input[type="email"]', 'input[autocomplete="email"]', 'input[name*="email" i]',
+  'input[autocomplete*="shipping" i]', 'input[name*="address" i]', '#checkout_email'
+];
+
+// Runs before any page script so the observers see every entry from the
+// start of navigation. Engines without an entry type just skip that metric.
+const PERFORMANCE_OBSERVER_SCRIPT = () => {
+  const supported = (window.PerformanceObserver && PerformanceObserver.supportedEntryTypes) || [];
+  const metrics = {
+    lcp: null,
+    cls: supported.includes('layout-shift') ? 0 : null,
+    longTasks: supported.includes('longtask') ? [] : null
+  };
+  window.__browserTestMetrics = metrics;
+
+  // The default buffer of 250 entries undercounts heavy product pages
+  performance.setResourceTimingBufferSize?.(2000);
+
+  const observe = (type, callback) => {
+    if (!supported.includes(type)) return;
+    new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+  };
+
+  observe('largest-contentful-paint', (entry) => {
+    metrics.lcp = entry.startTime;
+  });
+
+  // CLS is the largest session window: shifts less than 1s apart, 5s at most
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let lastShift = 0;
+  observe('layout-shift', (entry) => {
+    if (entry.hadRecentInput) return;
+    if (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000) {
+      sessionValue = 0;
+      sessionStart = entry.startTime;
+    }
+    sessionValue += entry.value;
+    lastShift = entry.startTime;
+    metrics.cls = Math.max(metrics.cls, sessionValue);
+  });
+
+  observe('longtask', (entry) => {
+    metrics.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+};
+
 class BrowserTestService {
   constructor() {
-    this.browser = null;
+    // One shared launch per engine, started on first use. The promise is
+    // cached so jobs starting together do not each launch a browser.
+    this.browsers = {};
+    // executionId -> { controller, context } for runs in progress on this instance
+    this.activeExecutions = new Map();
   }
 
-  async initializeBrowser() {
-    if (!this.browser) {
-      this.browser = await chromium.launch({
+  async initializeBrowser(browserName = 'chromium') {
+    if (!this.browsers[browserName]) {
+      const browserType = BROWSER_TYPES[browserName];
+      if (!browserType) {
+        throw new Error(`Unsupported browser: ${browserName}`);
+      }
+
+      this.browsers[browserName] = browserType.launch({
         headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
+        ...(browserName === 'chromium' && { args: ['--no-sandbox', '--disable-setuid-sandbox'] })
+      }).catch((error) => {
+        // Let the next run try again
+        delete this.browsers[browserName];
+        throw error;
       });
     }
-    return this.browser;
+    return this.browsers[browserName];
   }
 
   async closeBrowser() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
+    for (const [browserName, launching] of Object.entries(this.browsers)) {
+      delete this.browsers[browserName];
+      const browser = await launching.catch(() => null);
+      await browser?.close();
     }
   }
 
-  async runTest(configuration) {
-    const executionId = uuidv4();
+  // Abort a run in progress on this instance. Closing the context makes any
+  // in-flight Playwright call fail, so the run stops at once.
+  cancel(executionId) {
+    const execution = this.activeExecutions.get(executionId);
+    if (!execution) return false;
+
+    logger.info(`Cancelling test execution: ${executionId}`);
+    execution.controller.abort();
+    execution.context?.close().catch(() => {});
+    return true;
+  }
+
+  // Every browser engine crossed with every device profile. The desktop
+  // profile at the configured viewport is always part of the matrix.
+  buildTestMatrix(settings) {
+    const browserNames = settings.browsers?.length ? settings.browsers : ['chromium'];
+
+    const profiles = [{
+      name: 'desktop',
+      viewport: { width: settings.viewport.width, height: settings.viewport.height }
+    }];
+
+    if (settings.devices?.length) {
+      profiles.push(...settings.devices.map(device => device.toObject?.() ?? device));
+    } else if (settings.mobileTest) {
+      profiles.push(...DEFAULT_MOBILE_DEVICES.map(preset => ({ name: preset, preset })));
+    }
+
+    return browserNames.flatMap(browserName => profiles.map(device => ({ browserName, device })));
+  }
+
+  // Start from the Playwright device preset, then apply the profile's own overrides
+  buildContextOptions(device, browserName) {
+    const { defaultBrowserType, ...options } = device.preset ? devices[device.preset] || {} : {};
+
+    if (device.viewport?.width && device.viewport?.height) {
+      options.viewport = { width: device.viewport.width, height: device.viewport.height };
+    }
+    for (const key of ['userAgent', 'deviceScaleFactor', 'isMobile', 'hasTouch']) {
+      if (device[key] !== undefined && device[key] !== null) {
+        options[key] = device[key];
+      }
+    }
+
+    // Firefox has no mobile emulation mode and rejects the option
+    if (browserName === 'firefox') {
+      delete options.isMobile;
+    }
+
+    return options;
+  }
+
+  // Script URL, line and column of the first stack frame that has them.
+  // Handles both V8 ("at fn (url:1:2)") and Gecko/WebKit ("fn@url:1:2") frames.
+  parseStackLocation(stack = '') {
+    for (const rawLine of stack.split('\n')) {
+      const line = rawLine.includes('@') ? rawLine.slice(rawLine.lastIndexOf('@') + 1) : rawLine;
+      const match = line.match(/\(?((?:https?|file|blob|chrome-extension):\/\/[^\s)]+?|<anonymous>|[^\s()]+?):(\d+):(\d+)\)?\s*$/);
+      if (match) {
+        return { source: match[1], line: parseInt(match[2]), column: parseInt(match[3]) };
+      }
+    }
+    return { source: stack.split('\n')[1]?.trim() || '' };
+  }
+
+  // Every captured error is tagged with run.location, the product page and
+  // check phase that is running when it fires
+  attachErrorListeners(page, run) {
+    const { errorDetection, tags } = run;
+    const origin = () => ({ pageUrl: run.location.pageUrl, phase: run.location.phase, ...tags });
+
+    page.on('pageerror', (error) => {
+      errorDetection.jsErrors.push({
+        message: error.message,
+        ...this.parseStackLocation(error.stack),
+        stack: error.stack,
+        timestamp: new Date(),
+        ...origin()
+      });
+    });
+
+    page.on('response', (response) => {
+      if (!response.ok()) {
+        errorDetection.networkErrors.push({
+          url: response.url(),
+          status: response.status(),
+          error: response.statusText(),
+          timestamp: new Date(),
+          ...origin()
+        });
+      }
+    });
+
+    page.on('console', (msg) => {
+      if (msg.type() === 'warning') {
+        errorDetection.consoleWarnings.push({
+          message: msg.text(),
+          timestamp: new Date(),
+          ...origin()
+        });
+      }
+    });
+  }
+
+  // Positions in the shared error lists, so a check can later pick out its own errors
+  markErrors(errorDetection) {
+    return {
+      jsErrors: errorDetection.jsErrors.length,
+      networkErrors: errorDetection.networkErrors.length,
+      consoleWarnings: errorDetection.consoleWarnings.length
+    };
+  }
+
+  errorsSince(errorDetection, mark) {
+    return {
+      jsErrors: errorDetection.jsErrors.slice(mark.jsErrors),
+      networkErrors: errorDetection.networkErrors.slice(mark.networkErrors),
+      consoleWarnings: errorDetection.consoleWarnings.slice(mark.consoleWarnings)
+    };
+  }
+
+  async runTest(configuration, { executionId = uuidv4() } = {}) {
     const startTime = new Date();
+    const progress = TestProgressService.reporter(executionId);
+    const execution = { controller: new AbortController(), context: null };
+    const { signal } = execution.controller;
     
     logger.info(`Starting test execution: ${executionId}`);
 
-    // Create test result record
-    const testResult = new TestResult({
-      configurationId: configuration._id,
-      executionId,
-      startTime,
-      results: {
-        productPageTests: [],
-        imageValidation: [],
-        errorDetection: {
-          jsErrors: [],
-          networkErrors: [],
-          consoleWarnings: []
-        }
+    const emptyResults = {
+      productPageTests: [],
+      imageValidation: [],
+      customSteps: [],
+      journeys: [],
+      errorDetection: {
+        jsErrors: [],
+        networkErrors: [],
+        consoleWarnings: []
       }
-    });
+    };
+
+    let testResult = null;
+
+    // Shared by every matrix entry; each error is tagged with its browser and device
+    const errorDetection = {
+      jsErrors: [],
+      networkErrors: [],
+      consoleWarnings: []
+    };
+
+    // Links found on the tested pages, keyed to the pages they are on.
+    // Checked once after every matrix entry has run.
+    const links = configuration.testTypes?.linkCheck ? new Map() : null;
+    // Every request of every matrix entry, for the third-party inventory
+    const networkEntries = [];
 
     try {
-      await testResult.save();
-      
-      const browser = await this.initializeBrowser();
-      const context = await browser.newContext({
-        viewport: {
-          width: configuration.testSettings.viewport.width,
-          height: configuration.testSettings.viewport.height
-        }
-      });
+      this.activeExecutions.set(executionId, execution);
 
-      const page = await context.newPage();
-      
-      // Set up error listeners
-      const jsErrors = [];
-      const networkErrors = [];
-      const consoleWarnings = [];
-
-      page.on('pageerror', (error) => {
-        jsErrors.push({
-          message: error.message,
-          source: error.stack?.split('\n')[1] || '',
-          timestamp: new Date()
+      // Create test result record, or reset the one left behind by an earlier attempt
+      testResult = await TestResult.findOne({ executionId });
+      if (testResult) {
+        testResult.set({ status: 'running', startTime, endTime: null, duration: null, results: emptyResults });
+      } else {
+        testResult = new TestResult({
+          configurationId: configuration._id,
+          executionId,
+          startTime,
+          results: emptyResults
         });
-      });
+      }
+      await testResult.save();
 
-      page.on('response', (response) => {
-        if (!response.ok()) {
-          networkErrors.push({
-            url: response.url(),
-            status: response.status(),
-            error: response.statusText(),
-            timestamp: new Date()
-          });
-        }
+      const productPages = await this.resolveProductPages(configuration, testResult, progress);
+      const matrix = this.buildTestMatrix(configuration.testSettings);
+      progress('started', {
+        configurationId: configuration._id.toString(),
+        totalPages: productPages.length,
+        matrix: matrix.map(({ browserName, device }) => ({ browser: browserName, device: device.name }))
       });
 
-      page.on('console', (msg) => {
-        if (msg.type() === 'warning') {
-          consoleWarnings.push({
-            message: msg.text(),
-            timestamp: new Date()
-          });
+      for (const { browserName, device } of matrix) {
+        if (signal.aborted) break;
+        await this.runMatrixEntry(configuration, productPages, browserName, device, testResult, errorDetection, links, networkEntries, execution, progress);
+      }
+
+      if (configuration.pricing?.trackHistory && !signal.aborted) {
+        testResult.results.priceAlerts = await PriceService.recordHistory(configuration, testResult);
+        for (const alert of testResult.results.priceAlerts) {
+          progress('price-alert', alert);
         }
-      });
+      }
 
-      // Test product pages
-      for (const productPage of configuration.productPages) {
-        const pageResult = await this.testProductPage(page, productPage.url, configuration.testSettings);
-        testResult.results.productPageTests.push(pageResult);
+      // A partial run would show domains as removed
+      if (!signal.aborted) {
+        testResult.results.thirdParty = await this.buildThirdPartyInventory(configuration, testResult, networkEntries, errorDetection);
+        progress('third-party-inventory', {
+          origins: testResult.results.thirdParty.origins.length,
+          newDomains: testResult.results.thirdParty.diff?.newDomains || []
+        });
       }
 
-      // Test images on all pages
-      const imageResults = await this.testImageLoading(page, configuration.productPages.map(p => p.url));
-      testResult.results.imageValidation = imageResults;
+      if (links && !signal.aborted) {
+        progress('link-check-started', { links: links.size });
+        testResult.results.linkCheck = await LinkCheckService.check(configuration, links, configuration.linkCheck?.toObject?.() ?? configuration.linkCheck);
+        progress('link-check-completed', { checked: testResult.results.linkCheck.checked, counts: testResult.results.linkCheck.counts });
+      }
 
       // Update error detection results
-      testResult.results.errorDetection = {
-        jsErrors,
-        networkErrors,
-        consoleWarnings
-      };
-
-      await context.close();
+      testResult.results.errorDetection = errorDetection;
 
-      // Generate AI analysis
-      const aiAnalysis = await AIAnalysisService.analyzeTestResults(testResult.results);
-      testResult.aiAnalysis = aiAnalysis;
+      if (signal.aborted) {
+        // Keep the partial results but skip AI analysis
+        testResult.status = 'cancelled';
+      } else {
+        // Generate AI analysis
+        progress('ai-analysis-started');
+        const aiAnalysis = await AIAnalysisService.analyzeTestResults(testResult.results);
+        testResult.aiAnalysis = aiAnalysis;
+        testResult.status = 'completed';
+      }
 
       // Update test result
-      testResult.status = 'completed';
       testResult.endTime = new Date();
       testResult.duration = testResult.endTime - testResult.startTime;
 
       await testResult.save();
       
-      logger.info(`Test execution completed: ${executionId}`);
+      logger.info(`Test execution ${testResult.status}: ${executionId}`);
+      progress('done', { status: testResult.status, duration: testResult.duration, score: testResult.aiAnalysis?.score });
       return testResult;
 
     } catch (error) {
+      if (!testResult) {
+        logger.error(`Test execution failed before starting: ${executionId}`, error);
+        throw error;
+      }
+
+      testResult.results.errorDetection = errorDetection;
+      testResult.endTime = new Date();
+      testResult.duration = testResult.endTime - testResult.startTime;
+
+      // Closing the context mid-call surfaces as an error; that is a cancellation, not a failure
+      if (signal.aborted) {
+        testResult.status = 'cancelled';
+        await testResult.save();
+        logger.info(`Test execution cancelled: ${executionId}`);
+        progress('done', { status: testResult.status, duration: testResult.duration });
+        return testResult;
+      }
+
       logger.error(`Test execution failed: ${executionId}`, error);
       
+      // The job queue reports the outcome, since it may run the test again
       testResult.status = 'failed';
-      testResult.endTime = new Date();
-      testResult.duration = testResult.endTime - testResult.startTime;
       await testResult.save();
       
       throw error;
+    } finally {
+      this.activeExecutions.delete(executionId);
+    }
+  }
+
+  // The configured product pages plus, with discovery on, this run's sample
+  // of discovered ones. Discovery failing only fails the run when there is
+  // nothing else to test.
+  async resolveProductPages(configuration, testResult, progress) {
+    const productPages = configuration.productPages.map(({ url, identifier }) => ({ url, identifier }));
+    if (!configuration.discovery?.enabled) return productPages;
+
+    progress('discovery-started', { targetUrl: configuration.targetUrl });
+    let discovered;
+    try {
+      discovered = await ProductDiscoveryService.discover(configuration);
+    } catch (error) {
+      if (productPages.length === 0) throw error;
+      logger.warn(`Product discovery failed for ${configuration.targetUrl}: ${error.message}`);
+      discovered = { source: null, urls: [], sitemaps: [], crawledPages: 0, errors: [error.message] };
+    }
+
+    const known = new Set(productPages.map(page => page.url));
+    const sampled = ProductDiscoveryService.sample(discovered.urls.filter(entry => !known.has(entry.url)), configuration.discovery.sampling);
+    testResult.results.discovery = {
+      source: discovered.source,
+      discovered: discovered.urls.length,
+      sitemaps: discovered.sitemaps.length,
+      crawledPages: discovered.crawledPages,
+      sampling: configuration.discovery.sampling?.mode,
+      sampled: sampled.map(entry => entry.url),
+      errors: discovered.errors
+    };
+    progress('discovery-completed', { source: discovered.source, discovered: discovered.urls.length, sampled: sampled.length });
+
+    if (productPages.length === 0 && sampled.length === 0) {
+      throw new Error(`No product pages discovered on ${configuration.targetUrl}`);
+    }
+    return [...productPages, ...sampled.map(entry => ({ url: entry.url }))];
+  }
+
+  // Test every product page in one browser/device combination
+  async runMatrixEntry(configuration, productPages, browserName, device, testResult, errorDetection, links, networkEntries, execution, reportProgress) {
+    const { signal } = execution.controller;
+    const tags = { browser: browserName, device: device.name };
+    const progress = (type, data) => reportProgress(type, { ...tags, ...data });
+    const visual = configuration.visualRegression?.enabled
+      ? { settings: configuration.visualRegression, baselines: await VisualRegressionService.loadBaselines(configuration._id) }
+      : null;
+
+    // Per-run state handed down to the individual checks
+    const run = {
+      executionId: testResult.executionId,
+      signal,
+      tags,
+      progress,
+      visual,
+      budgets: configuration.performanceBudgets?.enabled ? configuration.performanceBudgets : null,
+      cartInteraction: configuration.testTypes?.addToCart === true,
+      variantMatrix: configuration.testTypes?.variantMatrix === true,
+      structuredData: configuration.testTypes?.structuredData === true,
+      seo: configuration.testTypes?.seo === true,
+      links,
+      pricing: configuration.pricing,
+      network: { entries: [], pending: new Set(), recordHar: configuration.testSettings.recordHar === true },
+      accessibility: configuration.testTypes?.accessibility ? { failOnImpact: configuration.accessibility?.failOnImpact || 'serious' } : null,
+      platform: configuration.platform,
+      elements: configuration.toObject().elements,
+      productPages,
+      errorDetection,
+      location: { pageUrl: null, phase: null },
+      // Visual comparison needs the page screenshots even when they are otherwise off
+      screenshots: configuration.testSettings.screenshots !== false || visual ? testResult.screenshots : null
+    };
+
+    logger.info(`Testing ${productPages.length} pages on ${browserName} / ${device.name}`);
+
+    const browser = await this.initializeBrowser(browserName);
+    const context = await browser.newContext(this.buildContextOptions(device, browserName));
+
+    execution.context = context;
+    if (signal.aborted) {
+      await context.close();
+    }
+
+    try {
+      await context.addInitScript(PERFORMANCE_OBSERVER_SCRIPT);
+      const page = await context.newPage();
+      this.attachErrorListeners(page, run);
+      await NetworkCaptureService.attach(page, run);
+
+      // Test product pages
+      for (const [index, productPage] of productPages.entries()) {
+        if (signal.aborted) break;
+        progress('page-started', { url: productPage.url, index, total: productPages.length });
+        const pageResult = await this.testProductPageWithRetries(page, productPage.url, configuration.testSettings, run);
+        // A page interrupted by cancellation is incomplete, so leave it out
+        if (signal.aborted) break;
+        testResult.results.productPageTests.push({ ...pageResult, ...tags });
+        progress('page-completed', {
+          url: productPage.url,
+          index,
+          passed: pageResult.passed,
+          flaky: pageResult.flaky,
+          attempts: pageResult.attempts.length,
+          errors: pageResult.errors
+        });
+      }
+
+      // Test images on all pages
+      if (!signal.aborted) {
+        const imageResults = await this.testImageLoading(page, productPages.map(p => p.url), configuration.testSettings, run);
+        testResult.results.imageValidation.push(...imageResults.map(result => ({ ...result, ...tags })));
+      }
+
+      if (!signal.aborted && configuration.steps?.length > 0) {
+        const flow = await this.runCustomSteps(page, configuration, run);
+        if (!signal.aborted) testResult.results.customSteps.push(flow);
+      }
+
+      if (!signal.aborted && configuration.testTypes?.checkoutJourney) {
+        const journey = await this.runCheckoutJourney(page, configuration, run);
+        if (!signal.aborted) testResult.results.journeys.push(journey);
+      }
+
+      await NetworkCaptureService.settle(run.network);
+      if (run.network.recordHar && !signal.aborted) {
+        await this.storeHarFiles(run, testResult);
+      }
+      networkEntries.push(...run.network.entries);
+    } finally {
+      // Already closed when the run was cancelled
+      await context.close().catch(() => {});
     }
   }
 
+  // A HAR file per product page, from the requests made while checking it
+  async storeHarFiles(run, testResult) {
+    const byPage = new Map();
+    for (const entry of run.network.entries) {
+      if (entry.phase !== 'product-check' || !entry.pageUrl) continue;
+      if (!byPage.has(entry.pageUrl)) byPage.set(entry.pageUrl, []);
+      byPage.get(entry.pageUrl).push(entry);
+    }
+
+    for (const [url, entries] of byPage) {
+      try {
+        const _id = new mongoose.Types.ObjectId();
+        const storageKey = `${run.executionId}/har/${_id}.har`;
+        const data = Buffer.from(JSON.stringify(NetworkCaptureService.buildHar(_id.toString(), url, entries, run.tags)));
+        await ArtifactStorageService.save(storageKey, data, 'application/json');
+        testResult.harFiles.push({
+          _id,
+          url,
+          ...run.tags,
+          entries: entries.length,
+          size: data.length,
+          storageKey,
+          contentType: 'application/json',
+          createdAt: new Date()
+        });
+      } catch (error) {
+        logger.warn(`Storing HAR failed for ${url}: ${error.message}`);
+      }
+    }
+
+    // Headers are only needed for the HAR files
+    for (const entry of run.network.entries) {
+      entry.requestHeaders = [];
+      entry.responseHeaders = [];
+    }
+  }
+
+  // Third-party inventory for the run, compared with the configuration's
+  // previous completed run
+  async buildThirdPartyInventory(configuration, testResult, entries, errorDetection) {
+    const inventory = NetworkCaptureService.buildInventory(configuration, entries, errorDetection.jsErrors);
+
+    const previous = await TestResult.findOne({
+      configurationId: configuration._id,
+      executionId: { $ne: testResult.executionId },
+      status: 'completed',
+      'results.thirdParty.origins': { $exists: true }
+    }, 'executionId results.thirdParty').sort({ createdAt: -1 });
+    if (!previous) return { ...inventory, diff: null };
+
+    const diff = NetworkCaptureService.diffInventories(previous.results.thirdParty, inventory);
+    if (diff.newDomains.length > 0) {
+      logger.warn(`New third-party domains on ${configuration.targetUrl}: ${diff.newDomains.join(', ')}`);
+    }
+    return { ...inventory, diff: { previousExecutionId: previous.executionId, ...diff } };
+  }
+
   // Enhanced element detection with multiple strategies
   async findElementWithMultipleStrategies(page, elementConfig) {
     const { selectors = [], textPatterns = [], contentPatterns = [], attributes = [] } = elementConfig;
@@ -285,41 +740,321 @@ class BrowserTestService {
     return null;
   }
 
-  async testProductPage(page, url, settings) {
+
+  // An element config from a configuration's element settings, or null when
+  // they name nothing to look for
+  buildElementConfig(settings) {
+    if (!settings) return null;
+    const config = {
+      selectors: settings.selectors || [],
+      textPatterns: settings.textPatterns || [],
+      contentPatterns: (settings.contentPatterns || []).map(pattern => new RegExp(pattern, 'i')),
+      attributes: (settings.attributes || []).map(({ name, value = '' }) => ({ name, value }))
+    };
+    return Object.values(config).some(list => list.length > 0) ? config : null;
+  }
+
+  // The configuration's selectors first, then the platform adapter's, then
+  // the generic heuristics (genericConfig, skipped when null). A configuration
+  // in override mode stops after its own. The result's source says which matched.
+  async findProductElement(page, run, name, genericConfig) {
+    const settings = run.elements?.[name];
+    const sources = [['configuration', this.buildElementConfig(settings)]];
+    if (settings?.mode !== 'override') {
+      sources.push(['platform', PlatformAdapterService.get(run.platform)?.selectors?.[name]], ['default', genericConfig]);
+    }
+
+    for (const [source, config] of sources) {
+      if (!config) continue;
+      const found = await this.findElementWithMultipleStrategies(page, config);
+      if (found) return { ...found, source };
+    }
+    return null;
+  }
+
+  // Re-run a failing page check with exponential backoff, up to
+  // settings.retryAttempts extra attempts. Returns the last attempt's result
+  // with every attempt recorded; a page that only passed on a retry is flaky.
+  async testProductPageWithRetries(page, url, settings, run = {}) {
+    const { progress = () => {}, signal } = run;
+    const maxAttempts = 1 + Math.max(0, settings.retryAttempts ?? 0);
+    const baseDelay = settings.retryDelay ?? 1000;
+    const attempts = [];
+    let result;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (attempt > 1) {
+        const backoff = baseDelay * 2 ** (attempt - 2);
+        progress('page-retry', { url, attempt, backoff });
+        logger.info(`Retrying ${url} (attempt ${attempt}/${maxAttempts}) in ${backoff}ms`);
+        await this.wait(backoff, signal);
+      }
+      if (signal?.aborted) break;
+
+      const startedAt = new Date();
+      result = await this.testProductPage(page, url, settings, { ...run, attempt });
+      attempts.push({
+        attempt,
+        passed: result.passed,
+        errors: result.errors,
+        loadTime: result.performance.loadTime,
+        startedAt
+      });
+
+      if (result.passed) break;
+    }
+
+    // Cancelled before the first attempt
+    if (!result) return null;
+
+    result.attempts = attempts;
+    result.flaky = result.passed && attempts.length > 1;
+    return result;
+  }
+
+  // Sleep that ends early when the run is cancelled
+  wait(ms, signal) {
+    return new Promise((resolve) => {
+      if (signal?.aborted) return resolve();
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+
+  // Screenshot a page, element handle or locator into artifact storage and
+  // record it on the run. Screenshots are best effort and never fail a check.
+  async captureScreenshot(target, run, { fullPage = false, ...details }) {
+    if (!run.screenshots || run.signal?.aborted) return null;
+
+    try {
+      const buffer = await target.screenshot({ type: 'png', ...(fullPage && { fullPage }) });
+      return await this.storeScreenshot(buffer, run, details);
+    } catch (error) {
+      logger.warn(`Screenshot failed for ${details.url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async storeScreenshot(buffer, run, details) {
+    if (!run.screenshots) return null;
+
+    try {
+      const _id = new mongoose.Types.ObjectId();
+      const storageKey = `${run.executionId}/screenshots/${_id}.png`;
+      await ArtifactStorageService.save(storageKey, buffer, 'image/png');
+
+      const screenshot = {
+        _id,
+        ...details,
+        ...run.tags,
+        attempt: run.attempt,
+        storageKey,
+        contentType: 'image/png',
+        createdAt: new Date()
+      };
+      run.screenshots.push(screenshot);
+      return screenshot;
+    } catch (error) {
+      logger.warn(`Storing screenshot failed for ${details.url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Document-relative rectangles for the configured ignore regions, either
+  // fixed coordinates or every element matching a selector
+  async resolveIgnoreRegions(page, regions = []) {
+    const rects = regions
+      .filter(region => !region.selector && region.width > 0 && region.height > 0)
+      .map(({ x = 0, y = 0, width, height }) => ({ x, y, width, height }));
+
+    const selectors = regions.filter(region => region.selector).map(region => region.selector);
+    if (selectors.length > 0) {
+      const matched = await page.evaluate((selectorList) => selectorList.flatMap((selector) => {
+        try {
+          return [...document.querySelectorAll(selector)].map((element) => {
+            const rect = element.getBoundingClientRect();
+            return {
+              x: rect.left + window.scrollX,
+              y: rect.top + window.scrollY,
+              width: rect.width,
+              height: rect.height
+            };
+          });
+        } catch (e) {
+          return [];
+        }
+      }), selectors);
+      rects.push(...matched.filter(rect => rect.width > 0 && rect.height > 0));
+    }
+
+    return rects;
+  }
+
+  // Take the full-page screenshot and diff it against the approved baseline
+  // for this page, browser and device. A mismatch over the limit fails the page.
+  async checkVisualRegression(page, result, run, details) {
+    const { url } = result;
+    const { settings, baselines } = run.visual;
+    if (run.signal?.aborted) return;
+
+    try {
+      const ignoreRects = await this.resolveIgnoreRegions(page, settings.ignoreRegions);
+      const buffer = await page.screenshot({ type: 'png', fullPage: true });
+      const screenshot = await this.storeScreenshot(buffer, run, { url, kind: 'page', ignoreRects, ...details });
+      if (screenshot) result.screenshots.push(screenshot._id.toString());
+
+      const baseline = baselines.get(VisualRegressionService.baselineKey(url, run.tags));
+      if (!baseline) {
+        result.visualComparison = { status: 'no-baseline' };
+        return;
+      }
+
+      const comparison = await VisualRegressionService.compareToBaseline(buffer, baseline, settings, ignoreRects);
+      const diff = await this.storeScreenshot(comparison.diffBuffer, run, { url, kind: 'diff' });
+
+      result.visualComparison = {
+        status: comparison.passed ? 'passed' : 'failed',
+        baselineId: baseline._id.toString(),
+        mismatchPercent: comparison.mismatchPercent,
+        mismatchedPixels: comparison.mismatchedPixels,
+        sizeChanged: comparison.sizeChanged,
+        diffScreenshotId: diff?._id.toString()
+      };
+
+      if (!comparison.passed) {
+        result.passed = false;
+        result.errors.push(`Visual mismatch of ${comparison.mismatchPercent}% exceeds ${settings.maxMismatchPercent}% against baseline`);
+      }
+    } catch (error) {
+      logger.warn(`Visual comparison failed for ${url}: ${error.message}`);
+      result.visualComparison = { status: 'error', error: error.message };
+    }
+  }
+
+  // Point the error listeners at the page and phase now running
+  setErrorLocation(run, pageUrl, phase) {
+    if (!run.location) return;
+    run.location.pageUrl = pageUrl;
+    run.location.phase = phase;
+  }
+
+  // Navigation timing, paint and observer data for the current page. All
+  // times are milliseconds from navigation start.
+  async collectPerformanceMetrics(page) {
+    return page.evaluate(() => {
+      const round = value => (value === null || value === undefined ? null : Math.round(value));
+      const navigation = performance.getEntriesByType('navigation')[0];
+      const resources = performance.getEntriesByType('resource');
+      const fcpEntry = performance.getEntriesByName('first-contentful-paint')[0];
+      const observed = window.__browserTestMetrics || { lcp: null, cls: null, longTasks: null };
+
+      const fcp = fcpEntry ? fcpEntry.startTime : null;
+      const domContentLoaded = navigation?.domContentLoadedEventEnd || null;
+
+      // Blocking time counts the part of each long task past 50ms, after FCP
+      const longTasks = (observed.longTasks || []).filter(task => fcp === null || task.start >= fcp);
+      const tbt = longTasks.reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+
+      // Lab approximation: interactive once content painted, the DOM is ready
+      // and the last long task is over
+      const lastLongTaskEnd = longTasks.reduce((end, task) => Math.max(end, task.start + task.duration), 0);
+      const timeToInteractive = Math.max(fcp || 0, domContentLoaded || 0, lastLongTaskEnd) || null;
+
+      // Cross-origin resources without Timing-Allow-Origin report a size of 0
+      const transferSize = (navigation?.transferSize || 0)
+        + resources.reduce((sum, resource) => sum + (resource.transferSize || 0), 0);
+
+      // Third party means outside the page's site, e.g. cdn.shop.com is first party on www.shop.com
+      const siteOf = (hostname) => {
+        const labels = hostname.split('.');
+        const secondLevel = labels.length > 2 && labels[labels.length - 1].length === 2 && labels[labels.length - 2].length <= 3;
+        return labels.slice(secondLevel ? -3 : -2).join('.');
+      };
+      const pageSite = siteOf(location.hostname);
+      const thirdPartyRequests = resources.filter((resource) => {
+        try {
+          return siteOf(new URL(resource.name).hostname) !== pageSite;
+        } catch (e) {
+          return false;
+        }
+      }).length;
+
+      return {
+        loadTime: round(navigation?.loadEventEnd || null),
+        ttfb: round(navigation ? navigation.responseStart : null),
+        fcp: round(fcp),
+        lcp: round(observed.lcp),
+        cls: observed.cls === null ? null : Math.round(observed.cls * 1000) / 1000,
+        tbt: observed.longTasks ? round(tbt) : null,
+        timeToInteractive: round(timeToInteractive),
+        domContentLoaded: round(domContentLoaded),
+        transferSize,
+        requestCount: resources.length + (navigation ? 1 : 0),
+        thirdPartyRequests
+      };
+    });
+  }
+
+  async testProductPage(page, url, settings, run = {}) {
+    const { progress = () => {} } = run;
+    const adapter = PlatformAdapterService.get(run.platform);
+    const elementSettings = run.elements || {};
+    this.setErrorLocation(run, url, 'product-check');
+    const errorMark = run.errorDetection && this.markErrors(run.errorDetection);
     const startTime = Date.now();
     const result = {
       url,
       passed: false,
       elements: {
-        title: { present: false, text: '', selector: '', strategy: '' },
-        price: { present: false, text: '', selector: '', strategy: '' },
-        addToCart: { present: false, clickable: false, selector: '', strategy: '' },
-        description: { present: false, text: '', selector: '', strategy: '' },
-        variants: { present: false, count: 0, selector: '', strategy: '' },
-        availability: { present: false, text: '', inStock: null, selector: '', strategy: '' }
+        title: { present: false, text: '', selector: '', strategy: '', source: '' },
+        price: { present: false, text: '', selector: '', strategy: '', source: '' },
+        addToCart: { present: false, clickable: false, selector: '', strategy: '', source: '' },
+        description: { present: false, text: '', selector: '', strategy: '', source: '' },
+        variants: { present: false, count: 0, selector: '', strategy: '', source: '' },
+        availability: { present: false, text: '', inStock: null, selector: '', strategy: '', source: '' },
+        custom: []
       },
       performance: {
         loadTime: 0,
         timeToInteractive: 0
       },
-      errors: []
+      errors: [],
+      screenshots: []
+    };
+    const recordScreenshot = async (target, details) => {
+      const screenshot = await this.captureScreenshot(target, run, { url, ...details });
+      if (screenshot) result.screenshots.push(screenshot._id.toString());
     };
 
     try {
       // Navigate to page with better wait conditions
-      await page.goto(url, { 
+      const response = await page.goto(url, { 
         waitUntil: 'domcontentloaded',
         timeout: settings.timeout 
       });
       
-      // Wait for additional loading
+      // Wait for additional loading. This settling time is not part of the
+      // metrics, which come from the browser's own timing APIs.
       await page.waitForTimeout(2000);
       
       // Try to wait for any lazy loading content
       await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+      await page.waitForLoadState('load', { timeout: 5000 }).catch(() => {});
 
-      const loadTime = Date.now() - startTime;
-      result.performance.loadTime = loadTime;
+      const metrics = await this.collectPerformanceMetrics(page).catch((error) => {
+        logger.warn(`Could not read performance metrics for ${url}: ${error.message}`);
+        return {};
+      });
+      result.performance = {
+        ...result.performance,
+        ...metrics,
+        // Wall clock only when the browser never reported a load event
+        loadTime: metrics.loadTime ?? Date.now() - startTime
+      };
+      progress('performance-measured', { url, lcp: metrics.lcp, cls: metrics.cls, tbt: metrics.tbt });
 
       // Test product title
       const titleConfig = {
@@ -340,12 +1075,14 @@ class BrowserTestService {
         ]
       };
       
-      const titleResult = await this.findElementWithMultipleStrategies(page, titleConfig);
+      const titleResult = await this.findProductElement(page, run, 'title', titleConfig);
       if (titleResult) {
         result.elements.title.present = true;
+        progress('element-found', { url, element: 'title', strategy: titleResult.strategy, source: titleResult.source });
         result.elements.title.text = titleResult.text;
         result.elements.title.selector = titleResult.selector;
         result.elements.title.strategy = titleResult.strategy;
+        result.elements.title.source = titleResult.source;
       }
 
       // Test price with comprehensive detection
@@ -375,39 +1112,25 @@ class BrowserTestService {
         ]
       };
 
-      const priceResult = await this.findElementWithMultipleStrategies(page, priceConfig);
+      const priceResult = await this.findProductElement(page, run, 'price', priceConfig);
       if (priceResult) {
         result.elements.price.present = true;
+        progress('element-found', { url, element: 'price', strategy: priceResult.strategy, source: priceResult.source });
         result.elements.price.text = priceResult.text;
         result.elements.price.selector = priceResult.selector;
         result.elements.price.strategy = priceResult.strategy;
+        result.elements.price.source = priceResult.source;
+        result.elements.price.parsed = PriceService.parse(priceResult.text, { locale: run.pricing?.locale, currency: run.pricing?.currency });
       }
 
       // Test add to cart button
-      const cartConfig = {
-        selectors: [
-          'button[type="submit"]', 'input[type="submit"]',
-          '[class*="add" i][class*="cart" i]', '[class*="cart" i][class*="btn" i]',
-          '[class*="buy" i]', '[class*="purchase" i]', '[class*="shop" i]',
-          'button', 'input[type="button"]', '[role="button"]',
-          '[data-testid*="add" i]', '[data-testid*="cart" i]', '[data-testid*="buy" i]'
-        ],
-        textPatterns: [
-          'Add to Cart', 'Add to Bag', 'Buy Now', 'Purchase', 'Add to Basket',
-          'Shop Now', 'Order Now', 'Add', 'Buy', 'Cart'
-        ],
-        attributes: [
-          { name: 'data-testid', value: 'add' },
-          { name: 'data-testid', value: 'cart' },
-          { name: 'data-action', value: 'add-to-cart' }
-        ]
-      };
-      
-      const cartResult = await this.findElementWithMultipleStrategies(page, cartConfig);
+      let cartResult = await this.findProductElement(page, run, 'addToCart', ADD_TO_CART_CONFIG);
       if (cartResult) {
         result.elements.addToCart.present = true;
+        progress('element-found', { url, element: 'addToCart', strategy: cartResult.strategy, source: cartResult.source });
         result.elements.addToCart.selector = cartResult.selector;
         result.elements.addToCart.strategy = cartResult.strategy;
+        result.elements.addToCart.source = cartResult.source;
         
         try {
           const isClickable = await cartResult.element.isEnabled() && await cartResult.element.isVisible();
@@ -415,6 +1138,10 @@ class BrowserTestService {
         } catch (e) {
           result.elements.addToCart.clickable = true;
         }
+
+        if (!result.elements.addToCart.clickable) {
+          await recordScreenshot(cartResult.element, { kind: 'element', element: 'addToCart' });
+        }
       }
 
       // Test product description
@@ -433,12 +1160,14 @@ class BrowserTestService {
         ]
       };
       
-      const descResult = await this.findElementWithMultipleStrategies(page, descConfig);
+      const descResult = await this.findProductElement(page, run, 'description', descConfig);
       if (descResult) {
         result.elements.description.present = true;
+        progress('element-found', { url, element: 'description', strategy: descResult.strategy, source: descResult.source });
         result.elements.description.text = descResult.text.substring(0, 200);
         result.elements.description.selector = descResult.selector;
         result.elements.description.strategy = descResult.strategy;
+        result.elements.description.source = descResult.source;
       }
 
       // Test variants/options
@@ -461,28 +1190,42 @@ class BrowserTestService {
       let variantCount = 0;
       let variantSelector = '';
       let variantStrategy = '';
+      let variantSource = '';
       
       try {
-        // Try to find variant containers first
-        const variantContainers = await page.$$('[class*="variant" i], [class*="option" i], .product-options, .product-variants');
-        for (const container of variantContainers) {
-          const options = await container.$$('button, input, select, .swatch, [role="button"]');
-          if (options.length > 0) {
-            variantCount += options.length;
-            variantSelector = 'container-based';
-            variantStrategy = 'container';
-            break;
+        // Configured or platform option markup is the most reliable count
+        const knownVariants = await this.findProductElement(page, run, 'variants', null);
+        if (knownVariants) {
+          variantCount = (await page.$$(knownVariants.selector)).length;
+          variantSelector = knownVariants.selector;
+          variantStrategy = knownVariants.strategy;
+          variantSource = knownVariants.source;
+        }
+
+        // Then variant containers
+        if (variantCount === 0 && elementSettings.variants?.mode !== 'override') {
+          const variantContainers = await page.$$('[class*="variant" i], [class*="option" i], .product-options, .product-variants');
+          for (const container of variantContainers) {
+            const options = await container.$$('button, input, select, .swatch, [role="button"]');
+            if (options.length > 0) {
+              variantCount += options.length;
+              variantSelector = 'container-based';
+              variantStrategy = 'container';
+              variantSource = 'default';
+              break;
+            }
           }
         }
 
         // If no containers found, count individual variant elements
-        if (variantCount === 0) {
+        if (variantCount === 0 && elementSettings.variants?.mode !== 'override') {
           const variantResult = await this.findElementWithMultipleStrategies(page, variantConfig);
           if (variantResult) {
             const allVariants = await page.$$(variantResult.selector);
             variantCount = allVariants.length;
             variantSelector = variantResult.selector;
             variantStrategy = variantResult.strategy;
+            variantSource = 'default';
           }
         }
       } catch (e) {
@@ -491,9 +1234,11 @@ class BrowserTestService {
       
       if (variantCount > 0) {
         result.elements.variants.present = true;
+        progress('element-found', { url, element: 'variants', strategy: variantStrategy, source: variantSource, count: variantCount });
         result.elements.variants.count = variantCount;
         result.elements.variants.selector = variantSelector;
         result.elements.variants.strategy = variantStrategy;
+        result.elements.variants.source = variantSource;
       }
 
       // Test availability/stock status
@@ -517,12 +1262,14 @@ class BrowserTestService {
         ]
       };
       
-      const availResult = await this.findElementWithMultipleStrategies(page, availConfig);
+      const availResult = await this.findProductElement(page, run, 'availability', availConfig);
       if (availResult) {
         result.elements.availability.present = true;
+        progress('element-found', { url, element: 'availability', strategy: availResult.strategy, source: availResult.source });
         result.elements.availability.text = availResult.text;
         result.elements.availability.selector = availResult.selector;
         result.elements.availability.strategy = availResult.strategy;
+        result.elements.availability.source = availResult.source;
         
         // Determine stock status
         const stockText = availResult.text.toLowerCase();
@@ -533,10 +1280,42 @@ class BrowserTestService {
         }
       }
 
+      // Extra elements named by the configuration
+      for (const custom of elementSettings.custom || []) {
+        const config = this.buildElementConfig(custom);
+        const found = config && await this.findElementWithMultipleStrategies(page, config);
+        result.elements.custom.push({
+          name: custom.name,
+          required: Boolean(custom.required),
+          present: Boolean(found),
+          text: found ? found.text.substring(0, 200) : '',
+          selector: found?.selector || '',
+          strategy: found?.strategy || '',
+          source: found ? 'configuration' : ''
+        });
+        if (found) {
+          progress('element-found', { url, element: custom.name, strategy: found.strategy, source: 'configuration' });
+        }
+      }
+
       // Determine if test passed with flexible criteria
-      result.passed = result.elements.title.present && 
-                     result.elements.price.present && 
-                     (result.elements.addToCart.present || result.elements.variants.present);
+      result.passed = this.requiredElementsPresent(result.elements, elementSettings);
+      const missingRequired = [
+        ...BUILT_IN_ELEMENTS.filter(name => elementSettings[name]?.required === true && !result.elements[name].present),
+        ...result.elements.custom.filter(custom => custom.required && !custom.present).map(custom => custom.name)
+      ];
+      for (const name of missingRequired) {
+        result.errors.push(`Required element not found: ${name}`);
+      }
+
+      // With price monitoring on, a zero or unreadable price fails the page
+      if (run.pricing?.trackHistory && result.elements.price.parsed) {
+        const invalidPrice = PriceService.invalidPriceAlert(url, result.elements.price.text, result.elements.price.parsed);
+        if (invalidPrice) {
+          result.passed = false;
+          result.errors.push(invalidPrice.message);
+        }
+      }
 
       // Enhanced logging for debugging
       logger.info(`Enhanced page analysis for ${url}:`, {
@@ -548,71 +1327,667 @@ class BrowserTestService {
         passed: result.passed
       });
 
+      if (run.structuredData) {
+        try {
+          result.structuredData = await StructuredDataService.check(page, {
+            priceText: priceResult?.text,
+            price: result.elements.price.parsed,
+            inStock: result.elements.availability.inStock
+          });
+          if (!result.structuredData.passed) {
+            result.passed = false;
+            result.errors.push(...result.structuredData.errors, ...result.structuredData.mismatches.map(mismatch => mismatch.message));
+          }
+          progress('structured-data-checked', {
+            url,
+            sources: result.structuredData.sources,
+            mismatches: result.structuredData.mismatches.length
+          });
+        } catch (error) {
+          result.errors.push(`Structured data check failed: ${error.message}`);
+        }
+      }
+
+      if (run.links) {
+        try {
+          for (const link of await LinkCheckService.collectLinks(page)) {
+            if (!run.links.has(link)) run.links.set(link, new Set());
+            run.links.get(link).add(url);
+          }
+        } catch (error) {
+          result.errors.push(`Could not collect links: ${error.message}`);
+        }
+      }
+
+      if (run.seo) {
+        try {
+          result.seo = await SeoService.check(page, url, response);
+          if (!result.seo.passed) {
+            result.passed = false;
+            result.errors.push(...result.seo.findings.filter(item => item.severity === 'error').map(item => `SEO: ${item.message}`));
+          }
+          progress('seo-checked', { url, passed: result.seo.passed, findings: result.seo.findings.length });
+        } catch (error) {
+          result.errors.push(`SEO check failed: ${error.message}`);
+        }
+      }
+
+      if (run.accessibility) {
+        try {
+          result.accessibility = await AccessibilityService.audit(page, {
+            addToCartElement: cartResult?.element,
+            failOnImpact: run.accessibility.failOnImpact
+          });
+          if (!result.accessibility.passed) {
+            result.passed = false;
+            result.errors.push(`Accessibility violations: ${Object.entries(result.accessibility.counts)
+              .filter(([, count]) => count > 0).map(([impact, count]) => `${count} ${impact}`).join(', ')}`);
+          }
+          progress('accessibility-audited', { url, counts: result.accessibility.counts });
+        } catch (error) {
+          result.errors.push(`Accessibility audit failed: ${error.message}`);
+        }
+      }
+
+      if (adapter?.fetchProduct) {
+        result.platformCheck = await PlatformAdapterService.verifyProduct(adapter, page, url, {
+          title: titleResult?.text,
+          priceText: priceResult?.text,
+          price: result.elements.price.parsed,
+          inStock: result.elements.availability.inStock
+        });
+        if (result.platformCheck.mismatches.length > 0) {
+          result.passed = false;
+          result.errors.push(...result.platformCheck.mismatches.map(mismatch => mismatch.message));
+        }
+        progress('platform-checked', { url, platform: adapter.name, mismatches: result.platformCheck.mismatches.length });
+      }
+
+      // A symbol shared by several currencies, as in "$29.99", leaves the
+      // currency open after the configured one; the price history needs one
+      if (result.elements.price.parsed && !result.elements.price.parsed.currency) {
+        PriceService.resolveCurrency(result.elements.price.parsed, [
+          result.platformCheck?.product?.currency,
+          ...await PriceService.pageCurrencies(page).catch(() => [])
+        ]);
+      }
+
+      const missingElements = ['title', 'price', 'addToCart']
+        .filter(name => !result.elements[name].present);
+      if (run.visual) {
+        await this.checkVisualRegression(page, result, run, { missingElements });
+      } else {
+        await recordScreenshot(page, { kind: 'page', fullPage: true, missingElements });
+      }
+
+      if (run.variantMatrix) {
+        progress('variants-started', { url });
+        result.variantTests = await VariantMatrixService.testVariants(page, {
+          maxOptions: settings.maxVariantOptions,
+          onInconsistent: async (variant) => {
+            const screenshot = await this.captureScreenshot(page, run, { url, kind: 'error', error: variant.issues.join('; ') });
+            if (screenshot) {
+              variant.screenshotId = screenshot._id.toString();
+              result.screenshots.push(variant.screenshotId);
+            }
+          }
+        });
+
+        const inconsistent = result.variantTests.filter(variant => variant.issues.length > 0);
+        for (const variant of inconsistent) {
+          result.errors.push(`Variant ${variant.group ? `${variant.group} / ` : ''}${variant.option}: ${variant.issues.join('; ')}`);
+        }
+        if (inconsistent.length > 0) {
+          result.passed = false;
+        }
+        progress('variants-completed', { url, tested: result.variantTests.length, inconsistent: inconsistent.length });
+
+        // Start the cart check from the page as loaded, not the last option picked
+        if (run.cartInteraction && cartResult) {
+          await page.goto(url, { waitUntil: 'domcontentloaded', timeout: settings.timeout });
+          await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+          cartResult = await this.findProductElement(page, run, 'addToCart', ADD_TO_CART_CONFIG);
+        }
+      }
+
+      // Runs last: clicking may open a drawer or leave the page
+      if (run.cartInteraction && cartResult && result.elements.addToCart.clickable) {
+        result.addToCartTest = await this.testAddToCart(page, cartResult.element, url, run);
+        if (!result.addToCartTest.success) {
+          result.passed = false;
+          result.errors.push(...result.addToCartTest.errors);
+          await recordScreenshot(page, { kind: 'error', error: result.addToCartTest.errors.join('; ') });
+        }
+      }
+
     } catch (error) {
       result.errors.push(error.message);
       logger.error(`Error testing product page ${url}:`, error);
+      await recordScreenshot(page, { kind: 'error', error: error.message });
+    }
+
+    if (errorMark) {
+      result.pageErrors = this.errorsSince(run.errorDetection, errorMark);
+    }
+
+    if (run.budgets) {
+      this.checkPerformanceBudgets(result, run.budgets);
     }
 
     return result;
   }
 
-  async testImageLoading(page, urls) {
+  // Title and price, plus add to cart or variants, unless the configuration
+  // marks elements required or optional itself. Required custom elements count too.
+  requiredElementsPresent(elements, elementSettings = {}) {
+    const flag = (name) => elementSettings[name]?.required;
+    const present = (name) => elements[name].present;
+
+    if (BUILT_IN_ELEMENTS.some(name => flag(name) === true && !present(name))) return false;
+    if (elements.custom.some(custom => custom.required && !custom.present)) return false;
+    if (flag('title') === undefined && !present('title')) return false;
+    if (flag('price') === undefined && !present('price')) return false;
+    if (flag('addToCart') === undefined && flag('variants') === undefined && !present('addToCart') && !present('variants')) return false;
+    return true;
+  }
+
+  // Walk product page -> add to cart -> cart -> checkout on the same page
+  // (and so the same error listeners) as the product checks. Nothing is
+  // entered at checkout, so the journey always stops before payment. Once a
+  // step fails the rest are skipped, and the cart is emptied at the end.
+  async runCheckoutJourney(page, configuration, run) {
+    const { progress = () => {}, signal } = run;
+    const timeout = configuration.testSettings.timeout;
+    const productUrl = configuration.journey?.productUrl || run.productPages?.[0]?.url;
+    const cartUrl = CartVerificationService.cartUrl(productUrl || configuration.targetUrl, configuration.platform);
+    const journey = { ...run.tags, productUrl, passed: false, duration: 0, steps: [] };
+    const startedAt = Date.now();
+    let cartButton = null;
+
+    const steps = [
+      ['product-page', async () => {
+        if (!productUrl) throw new Error('No product page to start the journey from');
+        await page.goto(productUrl, { waitUntil: 'domcontentloaded', timeout });
+        await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+        const found = await this.findProductElement(page, run, 'addToCart', ADD_TO_CART_CONFIG);
+        if (!found) throw new Error('Add to cart button not found');
+        cartButton = found.element;
+      }],
+      ['add-to-cart', async (step) => {
+        const verification = await CartVerificationService.verify(page, cartButton, { platform: configuration.platform, cleanup: false });
+        step.details = { signals: verification.signals, cartApi: verification.cartApi };
+        if (!verification.success) throw new Error(verification.errors.join('; '));
+      }],
+      ['cart', async (step) => {
+        await page.goto(cartUrl, { waitUntil: 'domcontentloaded', timeout });
+        await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+        const lineItems = await CartVerificationService.countCartLineItems(page);
+        step.details = { lineItems };
+        if (lineItems === 0) throw new Error('Cart page shows no line items');
+      }],
+      ['checkout', async () => {
+        const checkoutButton = await this.findElementWithMultipleStrategies(page, CHECKOUT_BUTTON_CONFIG);
+        if (!checkoutButton) throw new Error('Checkout button not found on cart page');
+        await Promise.all([
+          page.waitForURL(/checkout/i, { timeout }),
+          checkoutButton.element.click({ timeout: 5000 })
+        ]);
+        await page.locator(CHECKOUT_FORM_SELECTORS.join(', ')).first().waitFor({ state: 'visible', timeout });
+      }]
+    ];
+
+    let failed = false;
+    for (const [name, action] of steps) {
+      if (signal?.aborted) break;
+
+      const step = { name, status: 'skipped', url: null, duration: 0, errors: [] };
+      journey.steps.push(step);
+      if (failed) continue;
+
+      progress('journey-step-started', { step: name });
+      this.setErrorLocation(run, name === 'product-page' ? productUrl : page.url(), 'journey');
+      const errorMark = run.errorDetection && this.markErrors(run.errorDetection);
+      const stepStart = Date.now();
+
+      try {
+        await action(step);
+        step.status = 'passed';
+      } catch (error) {
+        step.status = 'failed';
+        step.errors.push(error.message);
+        failed = true;
+      }
+
+      step.duration = Date.now() - stepStart;
+      step.url = page.url();
+      if (errorMark) {
+        step.pageErrors = this.errorsSince(run.errorDetection, errorMark);
+      }
+
+      const screenshot = await this.captureScreenshot(page, run, { url: step.url, kind: 'journey', step: name, ...(failed && { error: step.errors[0] }) });
+      step.screenshotId = screenshot?._id.toString();
+
+      progress('journey-step-completed', { step: name, status: step.status, duration: step.duration });
+    }
+
+    // Leave no test items in the cart
+    if (journey.steps.some(step => step.name === 'add-to-cart' && step.status !== 'skipped')) {
+      await page.goto(cartUrl, { waitUntil: 'domcontentloaded', timeout }).catch(() => {});
+      journey.cleanedUp = await CartVerificationService.clearCart(page, configuration.platform);
+    }
+
+    journey.passed = journey.steps.length === steps.length && journey.steps.every(step => step.status === 'passed');
+    journey.duration = Date.now() - startedAt;
+    return journey;
+  }
+
+  // Run the configuration's declarative steps in order, on the same page and
+  // error listeners as the product checks. A failed step skips the rest
+  // unless it allows continuing.
+  async runCustomSteps(page, configuration, run) {
+    const { progress = () => {}, signal } = run;
+    const flow = { ...run.tags, passed: false, duration: 0, steps: [] };
+    const startedAt = Date.now();
+    // assertNoJsErrors covers everything since the flow began
+    const flowMark = run.errorDetection && this.markErrors(run.errorDetection);
+    let stopped = false;
+
+    for (const [index, definition] of configuration.steps.entries()) {
+      if (signal?.aborted) break;
+
+      const step = {
+        index,
+        action: definition.action,
+        name: definition.name || `${definition.action} ${definition.selector || definition.url || definition.value || ''}`.trim(),
+        status: 'skipped',
+        url: null,
+        duration: 0,
+        errors: []
+      };
+      flow.steps.push(step);
+      if (stopped) continue;
+
+      progress('custom-step-started', { index, step: step.name });
+      this.setErrorLocation(run, page.url(), 'custom-steps');
+      const errorMark = run.errorDetection && this.markErrors(run.errorDetection);
+      const stepStart = Date.now();
+
+      try {
+        step.details = await this.executeStep(page, definition, {
+          baseUrl: configuration.targetUrl,
+          timeout: definition.timeout ?? Math.min(configuration.testSettings.timeout, 10000),
+          jsErrors: () => (flowMark ? this.errorsSince(run.errorDetection, flowMark).jsErrors : [])
+        });
+        step.status = 'passed';
+      } catch (error) {
+        step.status = 'failed';
+        step.errors.push(error.message.split('\n')[0]);
+        stopped = !definition.continueOnFailure;
+      }
+
+      step.duration = Date.now() - stepStart;
+      step.url = page.url();
+      if (errorMark) {
+        step.pageErrors = this.errorsSince(run.errorDetection, errorMark);
+      }
+      if (step.status === 'failed') {
+        const screenshot = await this.captureScreenshot(page, run, { url: step.url, kind: 'error', step: step.name, error: step.errors[0] });
+        step.screenshotId = screenshot?._id.toString();
+      }
+
+      progress('custom-step-completed', { index, step: step.name, status: step.status, duration: step.duration });
+    }
+
+    flow.passed = flow.steps.length === configuration.steps.length && flow.steps.every(step => step.status === 'passed');
+    flow.duration = Date.now() - startedAt;
+    return flow;
+  }
+
+  textMatches(actual, expected, match = 'contains') {
+    if (match === 'regex') return new RegExp(expected).test(actual);
+    if (match === 'equals') return actual.trim() === expected.trim();
+    return actual.toLowerCase().includes(expected.toLowerCase());
+  }
+
+  // One step. Throws with a readable message when an action fails or an
+  // assertion does not hold; may return details worth keeping.
+  async executeStep(page, step, { baseUrl, timeout, jsErrors }) {
+    const describe = (expected) => `${step.match === 'regex' ? 'match' : step.match === 'equals' ? 'equal' : 'contain'} "${expected}"`;
+
+    switch (step.action) {
+      case 'navigate': {
+        const response = await page.goto(new URL(step.url, baseUrl).href, { waitUntil: 'domcontentloaded', timeout });
+        await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+        if (response && response.status() >= 400) {
+          throw new Error(`${step.url} responded ${response.status()}`);
+        }
+        return { status: response?.status() };
+      }
+      case 'click':
+        await page.locator(step.selector).first().click({ timeout });
+        await page.waitForLoadState('domcontentloaded', { timeout }).catch(() => {});
+        return undefined;
+      case 'fill':
+        await page.locator(step.selector).first().fill(step.value, { timeout });
+        return undefined;
+      case 'waitForSelector':
+        await page.locator(step.selector).first().waitFor({ state: step.state || 'visible', timeout });
+        return undefined;
+      case 'assertText': {
+        const target = page.locator(step.selector || 'body').first();
+        await target.waitFor({ state: 'attached', timeout });
+        const text = await target.innerText({ timeout });
+        if (!this.textMatches(text, step.value, step.match)) {
+          throw new Error(`Text of ${step.selector || 'the page'} does not ${describe(step.value)}: "${text.trim().substring(0, 100)}"`);
+        }
+        return { text: text.trim().substring(0, 200) };
+      }
+      case 'assertCount': {
+        const count = await page.locator(step.selector).count();
+        if (step.count != null && count !== step.count) {
+          throw new Error(`Expected ${step.count} elements matching ${step.selector}, found ${count}`);
+        }
+        // With no bounds given, at least one must exist
+        const min = step.count == null && step.max == null ? step.min ?? 1 : step.min;
+        if ((min != null && count < min) || (step.max != null && count > step.max)) {
+          throw new Error(`Expected ${min ?? 0} to ${step.max ?? 'any number of'} elements matching ${step.selector}, found ${count}`);
+        }
+        return { count };
+      }
+      case 'assertUrl':
+        if (!this.textMatches(page.url(), step.value, step.match)) {
+          throw new Error(`URL ${page.url()} does not ${describe(step.value)}`);
+        }
+        return undefined;
+      case 'assertNoJsErrors': {
+        const errors = jsErrors();
+        if (errors.length > 0) {
+          throw new Error(`${errors.length} JavaScript errors, first: ${errors[0].message}`);
+        }
+        return undefined;
+      }
+      default:
+        throw new Error(`Unknown step action: ${step.action}`);
+    }
+  }
+
+  // Click add-to-cart for real. JavaScript errors thrown while the click is
+  // handled fail the check even if the cart did update.
+  async testAddToCart(page, cartElement, url, run) {
+    const progress = run.progress || (() => {});
+    const errorMark = run.errorDetection && this.markErrors(run.errorDetection);
+
+    progress('add-to-cart-started', { url });
+    const verification = await CartVerificationService.verify(page, cartElement, { platform: run.platform });
+
+    const jsErrors = errorMark ? this.errorsSince(run.errorDetection, errorMark).jsErrors : [];
+    verification.jsErrors = jsErrors.map(error => error.message);
+    if (jsErrors.length > 0) {
+      verification.success = false;
+      verification.errors.push(`Add to cart threw ${jsErrors.length} JavaScript error(s): ${jsErrors[0].message}`);
+    }
+
+    progress('add-to-cart-completed', { url, success: verification.success, signals: verification.signals });
+    return verification;
+  }
+
+  // Compare a page's measurements with the configured budgets. Any page over
+  // a budget fails with one violation entry per exceeded budget. Metrics the
+  // browser could not measure are not held against the page.
+  checkPerformanceBudgets(result, budgets) {
+    const performance = result.performance || {};
+    const measurements = {
+      maxLcp: { metric: 'lcp', actual: performance.lcp, unit: 'ms' },
+      maxFcp: { metric: 'fcp', actual: performance.fcp, unit: 'ms' },
+      maxTtfb: { metric: 'ttfb', actual: performance.ttfb, unit: 'ms' },
+      maxTbt: { metric: 'tbt', actual: performance.tbt, unit: 'ms' },
+      maxCls: { metric: 'cls', actual: performance.cls, unit: '' },
+      maxLoadTime: { metric: 'loadTime', actual: performance.loadTime, unit: 'ms' },
+      maxPageWeight: { metric: 'transferSize', actual: performance.transferSize, unit: ' bytes' },
+      maxRequests: { metric: 'requestCount', actual: performance.requestCount, unit: '' },
+      maxThirdPartyRequests: { metric: 'thirdPartyRequests', actual: performance.thirdPartyRequests, unit: '' },
+      maxJsErrors: { metric: 'jsErrors', actual: result.pageErrors?.jsErrors.length, unit: '' }
+    };
+
+    result.budgetViolations = [];
+    for (const [budgetName, { metric, actual, unit }] of Object.entries(measurements)) {
+      const budget = budgets[budgetName];
+      if (budget === null || budget === undefined || actual === null || actual === undefined) continue;
+
+      if (actual > budget) {
+        const message = `${metric} of ${actual}${unit} exceeds budget of ${budget}${unit}`;
+        result.budgetViolations.push({ metric, budget, actual, message });
+        result.errors.push(`Performance budget: ${message}`);
+      }
+    }
+
+    if (result.budgetViolations.length > 0) {
+      result.passed = false;
+    }
+  }
+
+  // Scroll through the page so lazy-loaded images start loading, then give
+  // them a moment to arrive. Capped so infinite-scroll pages still finish.
+  async triggerLazyLoading(page) {
+    await page.evaluate(async () => {
+      const step = window.innerHeight || 800;
+      for (let i = 0, y = 0; i < 50 && y < document.documentElement.scrollHeight; i++, y += step) {
+        window.scrollTo(0, y);
+        await new Promise(resolve => setTimeout(resolve, 150));
+      }
+      window.scrollTo(0, 0);
+    });
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+  }
+
+  // Every <img> (with its srcset/picture source resolved) and every CSS
+  // background image on the page, with intrinsic and rendered sizes
+  async collectPageImages(page) {
+    return page.evaluate(async () => {
+      const toAbsolute = (value) => {
+        try {
+          return new URL(value, document.baseURI).href;
+        } catch (e) {
+          return value;
+        }
+      };
+      const isVisible = (element, rect) => {
+        if (rect.width === 0 || rect.height === 0) return false;
+        const style = window.getComputedStyle(element);
+        return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+      };
+
+      const images = [];
+
+      for (const img of document.querySelectorAll('img')) {
+        const rect = img.getBoundingClientRect();
+        const lazySrc = img.getAttribute('data-src') || img.getAttribute('data-lazy-src');
+        const src = img.currentSrc || img.src || (lazySrc && toAbsolute(lazySrc));
+        if (!src) continue;
+
+        images.push({
+          src,
+          sourceType: img.hasAttribute('srcset') || img.closest('picture') ? 'srcset' : 'img',
+          altText: img.getAttribute('alt'),
+          complete: img.complete,
+          naturalWidth: img.naturalWidth,
+          naturalHeight: img.naturalHeight,
+          width: rect.width,
+          height: rect.height,
+          visible: isVisible(img, rect),
+          lazy: img.loading === 'lazy' || Boolean(lazySrc),
+          // A lazy placeholder whose real source was never swapped in
+          lazyPending: Boolean(lazySrc) && !img.currentSrc && !img.getAttribute('src')
+        });
+      }
+
+      // Background images, whether set inline or by a stylesheet
+      const backgrounds = [];
+      for (const element of document.querySelectorAll('body *')) {
+        const backgroundImage = window.getComputedStyle(element).backgroundImage;
+        if (!backgroundImage || backgroundImage === 'none') continue;
+
+        const rect = element.getBoundingClientRect();
+        for (const match of backgroundImage.matchAll(/url\(["']?(.*?)["']?\)/g)) {
+          backgrounds.push({
+            src: toAbsolute(match[1]),
+            sourceType: 'css',
+            altText: null,
+            width: rect.width,
+            height: rect.height,
+            visible: isVisible(element, rect),
+            lazy: false,
+            lazyPending: false
+          });
+        }
+      }
+
+      // CSS images expose no natural size, so decode each one separately
+      const decode = (src) => new Promise((resolve) => {
+        const image = new Image();
+        const timer = setTimeout(() => resolve({ complete: false, naturalWidth: 0, naturalHeight: 0 }), 5000);
+        image.onload = () => {
+          clearTimeout(timer);
+          resolve({ complete: true, naturalWidth: image.naturalWidth, naturalHeight: image.naturalHeight });
+        };
+        image.onerror = () => {
+          clearTimeout(timer);
+          resolve({ complete: true, naturalWidth: 0, naturalHeight: 0 });
+        };
+        image.src = src;
+      });
+
+      const decoded = await Promise.all(backgrounds.map(background => decode(background.src)));
+      backgrounds.forEach((background, index) => images.push({ ...background, ...decoded[index] }));
+
+      return { images, devicePixelRatio: window.devicePixelRatio || 1 };
+    });
+  }
+
+  // HTTP status and content type of an image the page did not request while
+  // we were listening (served from cache, or requested before navigation)
+  async fetchImageResponse(page, src) {
+    if (src.startsWith('data:')) {
+      const contentType = src.slice(5, src.search(/[;,]/));
+      return { status: 200, contentType };
+    }
+
+    try {
+      const response = await page.request.get(src, { timeout: 10000, failOnStatusCode: false });
+      const entry = { status: response.status(), contentType: response.headers()['content-type'] || '' };
+      await response.dispose();
+      return entry;
+    } catch (error) {
+      return { status: 0, contentType: '', error: error.message };
+    }
+  }
+
+  async testImageLoading(page, urls, settings = {}, run = {}) {
+    const { progress = () => {}, signal } = run;
+    // Intrinsic pixels beyond this multiple of what the slot displays count as oversized
+    const oversizeRatio = settings.imageOversizeRatio ?? 2;
     const imageResults = [];
 
     for (const url of urls) {
+      if (signal?.aborted) break;
+      this.setErrorLocation(run, url, 'image-check');
+
+      // Real responses of every image request, keyed by the URL the page asked
+      // for. Redirected requests resolve to their final response.
+      const responses = new Map();
+      const onResponse = (response) => {
+        if (response.request().resourceType() !== 'image') return;
+        const entry = {
+          status: response.status(),
+          contentType: response.headers()['content-type'] || ''
+        };
+        let request = response.request();
+        responses.set(request.url(), entry);
+        while ((request = request.redirectedFrom())) {
+          responses.set(request.url(), entry);
+        }
+      };
+      page.on('response', onResponse);
+
       try {
-        await page.goto(url, { waitUntil: 'domcontentloaded' });
-        await page.waitForTimeout(2000); // Wait for images to load
-        
-        const images = await page.$$('img[src], img[data-src], [style*="background-image"]');
-        
-        for (const img of images) {
-          const src = await img.getAttribute('src') || await img.getAttribute('data-src');
-          const alt = await img.getAttribute('alt');
-          const style = await img.getAttribute('style');
-          
-          // Handle background images
-          let imageSrc = src;
-          if (!imageSrc && style && style.includes('background-image')) {
-            const match = style.match(/background-image:\s*url\(['"]?([^'"]+)['"]?\)/);
-            if (match) {
-              imageSrc = match[1];
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: settings.timeout });
+        await page.waitForLoadState('load', { timeout: 10000 }).catch(() => {});
+        await this.triggerLazyLoading(page);
+
+        const { images, devicePixelRatio } = await this.collectPageImages(page);
+
+        for (const image of images) {
+          if (signal?.aborted) break;
+
+          const result = {
+            url,
+            src: image.src,
+            sourceType: image.sourceType,
+            loaded: false,
+            decoded: false,
+            status: 0,
+            contentType: '',
+            altText: image.altText || '',
+            missingAlt: image.sourceType !== 'css' && image.altText === null,
+            lazy: image.lazy,
+            visible: image.visible,
+            oversized: false,
+            dimensions: { width: Math.round(image.width), height: Math.round(image.height) },
+            naturalDimensions: { width: image.naturalWidth, height: image.naturalHeight },
+            errors: [],
+            warnings: []
+          };
+
+          const response = responses.get(image.src) || await this.fetchImageResponse(page, image.src);
+          result.status = response.status;
+          result.contentType = response.contentType;
+
+          if (image.lazyPending) {
+            result.errors.push('Lazy-loaded image never loaded its source');
+          } else if (response.error) {
+            result.errors.push(`Request failed: ${response.error}`);
+          } else if (response.status >= 400) {
+            result.errors.push(`HTTP ${response.status}`);
+          } else if (response.contentType && !/^image\//i.test(response.contentType)) {
+            result.errors.push(`Unexpected content type: ${response.contentType}`);
+          }
+
+          if (!image.lazyPending) {
+            if (!image.complete) {
+              result.errors.push('Image did not finish loading');
+            } else if (image.naturalWidth === 0) {
+              result.errors.push('Image failed to decode');
+            } else {
+              result.decoded = true;
             }
           }
-          
-          if (imageSrc) {
-            const result = {
-              url,
-              src: imageSrc,
-              loaded: false,
-              status: 0,
-              altText: alt || '',
-              dimensions: { width: 0, height: 0 },
-              errors: []
-            };
 
-            try {
-              // Check if image is visible and loaded
-              const isVisible = await img.isVisible();
-              if (isVisible) {
-                result.loaded = true;
-                result.status = 200; // Assume loaded if visible
-                
-                const boundingBox = await img.boundingBox();
-                if (boundingBox) {
-                  result.dimensions.width = boundingBox.width;
-                  result.dimensions.height = boundingBox.height;
-                }
-              }
-            } catch (error) {
-              result.errors.push(error.message);
+          result.loaded = result.decoded && result.errors.length === 0;
+
+          // Only judge size for images that are actually displayed
+          if (result.decoded && image.visible && image.width > 0 && image.height > 0) {
+            const neededWidth = image.width * devicePixelRatio;
+            const neededHeight = image.height * devicePixelRatio;
+            if (image.naturalWidth > neededWidth * oversizeRatio && image.naturalHeight > neededHeight * oversizeRatio) {
+              result.oversized = true;
+              result.warnings.push(
+                `Oversized: ${image.naturalWidth}x${image.naturalHeight} intrinsic for ${Math.round(image.width)}x${Math.round(image.height)} rendered`
+              );
             }
+          }
 
-            imageResults.push(result);
+          if (result.missingAlt) {
+            result.warnings.push('Missing alt attribute');
           }
+
+          if (signal?.aborted) break;
+          imageResults.push(result);
+          progress('image-checked', { url, src: image.src, loaded: result.loaded, status: result.status });
         }
       } catch (error) {
         logger.error(`Error testing images on ${url}:`, error);
+      } finally {
+        page.off('response', onResponse);
       }
     }
 
@@ -0,0 +1,181 @@
+import PlatformAdapterService from './PlatformAdapterService.js';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Any platform: a POST to a cart add endpoint, by path, or WooCommerce's
+// AJAX add. Analytics beacons naming add_to_cart in the query do not match.
+const GENERIC_ADD_REQUEST = /^[^?]*\/(cart\/(add|items?)(\.js|\.json)?|add-?to-?cart|addtocart|cart-add)\/?(\?|$)|[?&]wc-ajax=add_to_cart\b/i;
+
+// Cookies that hold the cart on platforms without a cart API
+const CART_COOKIE = /cart|basket|woocommerce_session/i;
+
+const CART_COUNT_SELECTORS = [
+  '[data-cart-count]', '.cart-count', '.cart-count-bubble', '#CartCount',
+  '.header__cart-count', '[class*="cart-count" i]', '[class*="cartcount" i]',
+  '[class*="cart" i] [class*="count" i]', '[class*="cart" i] [class*="qty" i]'
+];
+
+const CART_LINE_ITEM_SELECTORS = [
+  '[data-cart-item]', '[id^="CartItem-"]', '.cart-item', '.cart__row', '.cart-item-row',
+  '[class*="cart-item" i]', '[class*="line-item" i]', '[class*="cartitem" i]',
+  'form[action*="/cart"] tbody tr'
+];
+
+const CART_DRAWER_SELECTORS = [
+  'cart-drawer', 'cart-notification', '#CartDrawer', '#cart-drawer',
+  '[class*="cart-drawer" i]', '[class*="mini-cart" i]', '[class*="minicart" i]',
+  '[class*="cart-notification" i]', '[class*="cart-popup" i]', '[class*="added-to-cart" i]',
+  '[role="dialog"][class*="cart" i]', '[role="dialog"][aria-label*="cart" i]'
+];
+
+class CartVerificationService {
+  cartUrl(baseUrl, platform) {
+    return new URL(PlatformAdapterService.get(platform)?.cart?.cartPath || '/cart', baseUrl).href;
+  }
+
+  async countCartLineItems(page) {
+    return page.evaluate((selectors) => {
+      for (const selector of selectors) {
+        const items = [...document.querySelectorAll(selector)]
+          .filter(item => item.getBoundingClientRect().height > 0);
+        if (items.length > 0) return items.length;
+      }
+      return 0;
+    }, CART_LINE_ITEM_SELECTORS).catch(() => 0);
+  }
+
+  async readCartCount(page) {
+    return page.evaluate((selectors) => {
+      for (const selector of selectors) {
+        for (const element of document.querySelectorAll(selector)) {
+          const value = element.getAttribute('data-cart-count') ?? element.textContent;
+          const match = (value || '').match(/\d+/);
+          if (match) return parseInt(match[0]);
+        }
+      }
+      return null;
+    }, CART_COUNT_SELECTORS).catch(() => null);
+  }
+
+  async isDrawerVisible(page) {
+    for (const selector of CART_DRAWER_SELECTORS) {
+      const visible = await page.locator(selector).first().isVisible().catch(() => false);
+      if (visible) return selector;
+    }
+    return null;
+  }
+
+  // Click add-to-cart and look for proof that the cart changed: the
+  // platform's cart API answering, the cart count going up, a cart drawer
+  // opening, or a redirect to the cart page. Empties the cart afterwards
+  // unless cleanup is off, for callers that go on to use the cart.
+  async verify(page, cartElement, { platform, timeout = 8000, cleanup = true } = {}) {
+    const platformCart = PlatformAdapterService.get(platform)?.cart;
+    const addRequest = platformCart?.addRequest || GENERIC_ADD_REQUEST;
+    const startUrl = page.url();
+    const cartPath = new URL(this.cartUrl(startUrl, platform)).pathname.replace(/\/$/, '').toLowerCase();
+    // Also matches cart pages under a market or language prefix, e.g. /en/cart
+    const onCartPage = () => new URL(page.url()).pathname.replace(/\/$/, '').toLowerCase().endsWith(cartPath);
+
+    const result = {
+      attempted: true,
+      success: false,
+      signals: [],
+      cartCountBefore: null,
+      cartCountAfter: null,
+      cartApi: null,
+      drawerSelector: null,
+      cleanedUp: false,
+      errors: []
+    };
+
+    const onResponse = (response) => {
+      const request = response.request();
+      if (request.method() !== 'POST' || !addRequest.test(response.url())) return;
+      // Keep the first successful answer; otherwise the latest failure
+      if (result.cartApi?.ok) return;
+      result.cartApi = { url: response.url(), status: response.status(), ok: response.ok() };
+    };
+
+    try {
+      result.cartCountBefore = await this.readCartCount(page);
+      page.on('response', onResponse);
+
+      await cartElement.click({ timeout: 5000 });
+
+      let deadline = Date.now() + timeout;
+      while (Date.now() < deadline) {
+        await page.waitForTimeout(250);
+
+        if (result.cartApi?.ok && !result.signals.includes('cart-api')) {
+          result.signals.push('cart-api');
+          // Give the theme a moment to reflect the add on the page
+          deadline = Math.min(deadline, Date.now() + 2000);
+        }
+
+        if (page.url() !== startUrl && onCartPage()) {
+          result.signals.push('cart-redirect');
+          break;
+        }
+
+        result.drawerSelector = await this.isDrawerVisible(page);
+        if (result.drawerSelector && !result.signals.includes('cart-drawer')) {
+          result.signals.push('cart-drawer');
+        }
+
+        result.cartCountAfter = await this.readCartCount(page);
+        if (result.cartCountBefore !== null && result.cartCountAfter > result.cartCountBefore
+          && !result.signals.includes('cart-count')) {
+          result.signals.push('cart-count');
+        }
+
+        // An API confirmation plus a visible change is as good as it gets
+        if (result.signals.includes('cart-api') && result.signals.length > 1) break;
+        // Without a platform API to wait for, one visible change is enough
+        if (!platformCart && result.signals.length > 0) break;
+      }
+
+      result.success = result.signals.length > 0;
+
+      if (result.cartApi && !result.cartApi.ok) {
+        result.success = false;
+        result.errors.push(`Cart API ${result.cartApi.url} responded ${result.cartApi.status}`);
+      } else if (!result.success) {
+        result.errors.push('Clicking add to cart produced no cart update (API response, count change or cart drawer)');
+      }
+    } catch (error) {
+      result.errors.push(`Add to cart click failed: ${error.message}`);
+    } finally {
+      page.off('response', onResponse);
+    }
+
+    if (cleanup) {
+      result.cleanedUp = await this.clearCart(page, platform);
+    }
+    return result;
+  }
+
+  // Empty the cart through the platform API, or drop the cookies that hold
+  // the cart when the platform has none. Other cookies (consent, session,
+  // market) stay, since the context is shared with the remaining pages.
+  async clearCart(page, platform) {
+    const platformCart = PlatformAdapterService.get(platform)?.cart;
+    try {
+      if (platformCart) {
+        return Boolean(await platformCart.clear(page));
+      }
+      await page.context().clearCookies({ name: CART_COOKIE });
+      return true;
+    } catch (error) {
+      logger.warn(`Cart cleanup failed on ${page.url()}: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+export default new CartVerificationService();
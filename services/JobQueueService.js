@@ -0,0 +1,274 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import TestJob from '../models/TestJob.js';
+import TestConfiguration from '../models/TestConfiguration.js';
+import TestResult from '../models/TestResult.js';
+import BrowserTestService from './BrowserTestService.js';
+import TestProgressService from './TestProgressService.js';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+class JobQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.concurrency = parseInt(process.env.TEST_QUEUE_CONCURRENCY) || 2;
+    this.pollInterval = parseInt(process.env.TEST_QUEUE_POLL_INTERVAL) || 2000;
+    this.heartbeatInterval = parseInt(process.env.TEST_QUEUE_HEARTBEAT_INTERVAL) || 15000;
+    // A running job whose heartbeat is older than this belongs to a dead worker
+    this.staleAfter = parseInt(process.env.TEST_QUEUE_STALE_AFTER) || 60000;
+    this.maxAttempts = parseInt(process.env.TEST_QUEUE_MAX_ATTEMPTS) || 3;
+    this.activeJobs = new Set();
+    this.running = false;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    logger.info(`Job queue worker ${this.workerId} started with concurrency ${this.concurrency}`);
+
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => logger.error('Job heartbeat failed:', error));
+    }, this.heartbeatInterval);
+
+    this.schedulePoll(0);
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  schedulePoll(delay = this.pollInterval) {
+    if (!this.running) return;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => {
+      this.poll()
+        .catch(error => logger.error('Job queue poll failed:', error))
+        .finally(() => this.schedulePoll());
+    }, delay);
+  }
+
+  async enqueue(configuration, { priority = 0, trigger = 'manual' } = {}) {
+    const job = new TestJob({
+      configurationId: configuration._id,
+      executionId: uuidv4(),
+      trigger,
+      priority,
+      maxAttempts: this.maxAttempts
+    });
+    await job.save();
+
+    logger.info(`Queued test job ${job._id} (execution ${job.executionId}) for configuration ${configuration._id}`);
+    TestProgressService.emit(job.executionId, 'queued', { jobId: job._id.toString(), priority });
+
+    // Pick it up right away if a worker slot is free
+    if (this.running && this.activeJobs.size < this.concurrency) {
+      this.schedulePoll(0);
+    }
+
+    return job;
+  }
+
+  // 1-based position among queued jobs, or null once the job has left the queue
+  async getQueuePosition(job) {
+    if (job.status !== 'queued') return null;
+
+    const ahead = await TestJob.countDocuments({
+      status: 'queued',
+      $or: [
+        { priority: { $gt: job.priority } },
+        { priority: job.priority, createdAt: { $lt: job.createdAt } },
+        { priority: job.priority, createdAt: job.createdAt, _id: { $lt: job._id } }
+      ]
+    });
+
+    return ahead + 1;
+  }
+
+  async poll() {
+    await this.recoverStaleJobs();
+
+    while (this.running && this.activeJobs.size < this.concurrency) {
+      const job = await this.claimNextJob();
+      if (!job) break;
+
+      this.activeJobs.add(job._id.toString());
+      this.processJob(job)
+        .catch(error => logger.error(`Job ${job._id} processing error:`, error))
+        .finally(() => {
+          this.activeJobs.delete(job._id.toString());
+          this.schedulePoll(0);
+        });
+    }
+  }
+
+  async claimNextJob() {
+    const now = new Date();
+    return TestJob.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        $set: { status: 'running', workerId: this.workerId, heartbeatAt: now, startedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: -1, createdAt: 1, _id: 1 }, new: true }
+    );
+  }
+
+  async processJob(job) {
+    logger.info(`Worker ${this.workerId} running job ${job._id} (attempt ${job.attempts})`);
+
+    let configuration;
+    try {
+      configuration = await TestConfiguration.findById(job.configurationId);
+      if (!configuration) {
+        await this.failJob(job, 'Configuration not found');
+        return;
+      }
+
+      const testResult = await BrowserTestService.runTest(configuration, { executionId: job.executionId });
+      await this.finishJob(job, testResult.status === 'cancelled' ? 'cancelled' : 'completed');
+    } catch (error) {
+      logger.error(`Job ${job._id} failed:`, error);
+      if (configuration && job.attempts < job.maxAttempts && await this.requeueJob(job, error.message)) return;
+
+      if (configuration) await this.markResultFinished(job, 'failed');
+      await this.failJob(job, error.message);
+    }
+  }
+
+  // Put a failed job back in the queue for another attempt. False when it
+  // was cancelled meanwhile and should not run again.
+  async requeueJob(job, error) {
+    const requeued = await TestJob.updateOne(
+      { _id: job._id, workerId: this.workerId, status: 'running', cancelRequested: { $ne: true } },
+      { $set: { status: 'queued', workerId: null, heartbeatAt: null, error } }
+    );
+    if (requeued.modifiedCount === 0) return false;
+
+    logger.warn(`Requeued job ${job._id} after attempt ${job.attempts} of ${job.maxAttempts}`);
+    TestProgressService.emit(job.executionId, 'retrying', { attempt: job.attempts, maxAttempts: job.maxAttempts, error });
+    return true;
+  }
+
+  async failJob(job, error) {
+    await this.finishJob(job, 'failed', error);
+    TestProgressService.emit(job.executionId, 'done', { status: 'failed', error });
+  }
+
+  async finishJob(job, status, error) {
+    await TestJob.updateOne(
+      { _id: job._id, workerId: this.workerId },
+      { $set: { status, finishedAt: new Date(), ...(error && { error }) } }
+    );
+  }
+
+  // Cancel a queued job outright, or ask the worker running it to stop.
+  // Resolves to null when no job has that executionId.
+  async cancel(executionId) {
+    const job = await TestJob.findOne({ executionId });
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      const cancelled = await TestJob.findOneAndUpdate(
+        { _id: job._id, status: 'queued' },
+        { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() } },
+        { new: true }
+      );
+
+      // A worker claimed it in the meantime, so cancel it as a running job
+      if (!cancelled) return this.cancel(executionId);
+
+      await this.markResultFinished(cancelled, 'cancelled');
+      TestProgressService.emit(executionId, 'done', { status: 'cancelled' });
+      return { job: cancelled, status: 'cancelled' };
+    }
+
+    if (job.status === 'running') {
+      job.cancelRequested = true;
+      await TestJob.updateOne({ _id: job._id }, { $set: { cancelRequested: true } });
+
+      // Stop it right away if it runs here; otherwise its worker sees the flag on its next heartbeat
+      BrowserTestService.cancel(executionId);
+      return { job, status: 'cancelling' };
+    }
+
+    return { job, status: 'finished' };
+  }
+
+  // Close the TestResult of a job that will not run again
+  async markResultFinished(job, status) {
+    const now = new Date();
+    await TestResult.updateOne(
+      { executionId: job.executionId },
+      {
+        $set: { status, endTime: now },
+        $setOnInsert: { configurationId: job.configurationId, executionId: job.executionId, startTime: now, duration: 0 }
+      },
+      { upsert: true }
+    );
+  }
+
+  async heartbeat() {
+    if (this.activeJobs.size === 0) return;
+
+    await TestJob.updateMany(
+      { _id: { $in: [...this.activeJobs] }, workerId: this.workerId, status: 'running' },
+      { $set: { heartbeatAt: new Date() } }
+    );
+
+    // Pick up cancellations requested through another instance
+    const cancelled = await TestJob.find(
+      { _id: { $in: [...this.activeJobs] }, workerId: this.workerId, cancelRequested: true },
+      'executionId'
+    );
+    for (const job of cancelled) {
+      BrowserTestService.cancel(job.executionId);
+    }
+  }
+
+  // Put jobs of crashed workers back in the queue, or fail them once out of attempts
+  async recoverStaleJobs() {
+    const staleBefore = new Date(Date.now() - this.staleAfter);
+    const staleJobs = await TestJob.find({
+      status: 'running',
+      heartbeatAt: { $lt: staleBefore }
+    });
+
+    for (const job of staleJobs) {
+      const exhausted = job.attempts >= job.maxAttempts;
+      let update = { status: 'queued', workerId: null, heartbeatAt: null };
+      if (job.cancelRequested) {
+        update = { status: 'cancelled', finishedAt: new Date() };
+      } else if (exhausted) {
+        update = { status: 'failed', finishedAt: new Date(), error: `Worker ${job.workerId} stopped responding` };
+      }
+
+      // Match on the stale heartbeat so two instances never recover the same job twice
+      const recovered = await TestJob.updateOne(
+        { _id: job._id, status: 'running', heartbeatAt: job.heartbeatAt },
+        { $set: update }
+      );
+
+      if (recovered.modifiedCount > 0) {
+        logger.warn(`Recovered stale job ${job._id} from worker ${job.workerId}: ${update.status}`);
+        if (update.status === 'cancelled' || update.status === 'failed') {
+          await this.markResultFinished(job, update.status);
+          TestProgressService.emit(job.executionId, 'done', { status: update.status, error: update.error });
+        }
+      }
+    }
+  }
+}
+
+export default new JobQueueService();
@@ -0,0 +1,135 @@
+import ProductDiscoveryService from './ProductDiscoveryService.js';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; ProductPageMonitor/1.0; +link check)',
+  Accept: 'text/html,*/*;q=0.8'
+};
+
+// Links that change state when requested; never followed
+const UNSAFE_LINK = /\/(cart\/(add|change|clear|update)|account\/logout|logout|sign[-_]?out)\b/i;
+
+class LinkCheckService {
+  // Same-origin navigation links on the loaded page, without fragments
+  async collectLinks(page) {
+    const pageUrl = page.url();
+    const origin = new URL(pageUrl).origin;
+    const hrefs = await page.$$eval('a[href]', anchors => anchors.map(anchor => anchor.href));
+
+    const links = new Set();
+    for (const href of hrefs) {
+      try {
+        const parsed = new URL(href);
+        if (parsed.origin !== origin) continue;
+        parsed.hash = '';
+        if (parsed.href !== pageUrl && !UNSAFE_LINK.test(parsed.pathname)) links.add(parsed.href);
+      } catch (e) {
+        // Not a URL
+      }
+    }
+    return [...links];
+  }
+
+  // HEAD, or GET where the server refuses HEAD. Redirects are followed by
+  // hand so every hop is recorded.
+  async request(url, timeout) {
+    let response = await fetch(url, { method: 'HEAD', headers: REQUEST_HEADERS, redirect: 'manual', signal: AbortSignal.timeout(timeout) });
+    if (response.status === 405 || response.status === 501 || response.status === 403) {
+      response = await fetch(url, { method: 'GET', headers: REQUEST_HEADERS, redirect: 'manual', signal: AbortSignal.timeout(timeout) });
+      await response.body?.cancel();
+    }
+    return response;
+  }
+
+  async checkLink(url, settings, rules) {
+    const result = { url, status: null, finalUrl: url, redirects: [], issue: null, error: null };
+    const visited = new Set([url]);
+    let current = url;
+
+    try {
+      for (;;) {
+        const response = await this.request(current, settings.timeout);
+        result.status = response.status;
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) break;
+
+        const next = new URL(location, current).href;
+        result.redirects.push({ url: current, status: response.status, location: next });
+        if (visited.has(next)) {
+          result.issue = 'redirect-loop';
+          result.error = `Redirect loop back to ${next}`;
+          return result;
+        }
+        if (result.redirects.length > settings.maxRedirects) {
+          result.issue = 'redirect-chain';
+          result.error = `More than ${settings.maxRedirects} redirects`;
+          return result;
+        }
+        visited.add(next);
+        current = next;
+      }
+    } catch (error) {
+      result.issue = 'error';
+      result.error = error.name === 'TimeoutError' ? `No response within ${settings.timeout}ms` : error.message;
+      return result;
+    }
+    result.finalUrl = current;
+
+    // Unpublished products usually 404 or send shoppers to a listing page
+    const productLink = ProductDiscoveryService.isProductUrl(ProductDiscoveryService.normalizeUrl(url), rules);
+    if (productLink && (result.status === 404 || result.status === 410
+      || (result.status < 400 && result.redirects.length > 0 && !ProductDiscoveryService.isProductUrl(ProductDiscoveryService.normalizeUrl(current), rules)))) {
+      result.issue = 'unpublished-product';
+    } else if (result.status >= 400) {
+      result.issue = 'broken';
+    } else if (result.redirects.length > 1) {
+      result.issue = 'redirect-chain';
+    }
+    return result;
+  }
+
+  // Check each distinct link once. `links` maps a link to the tested pages
+  // it was found on.
+  async check(configuration, links, settings = {}) {
+    const options = { maxLinks: 200, concurrency: 5, maxRedirects: 5, timeout: 10000, ...settings };
+    const rules = ProductDiscoveryService.buildRules(configuration, configuration.discovery?.toObject?.() ?? configuration.discovery ?? {});
+    const excluded = (options.excludePatterns || []).filter(Boolean).map(pattern => new RegExp(pattern, 'i'));
+
+    const urls = [...links.keys()].filter(url => !excluded.some(pattern => pattern.test(url)));
+    const queue = urls.slice(0, options.maxLinks);
+    const results = [];
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const url = queue.shift();
+        results.push({ ...(await this.checkLink(url, options, rules)), foundOn: [...links.get(url)] });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(options.concurrency, queue.length) }, worker));
+
+    const issues = results.filter(result => result.issue);
+    const counts = { broken: 0, unpublishedProduct: 0, redirectChain: 0, redirectLoop: 0, error: 0 };
+    for (const { issue } of issues) {
+      counts[issue.replace(/-(\w)/g, (_, letter) => letter.toUpperCase())]++;
+    }
+
+    logger.info(`Checked ${results.length} links from ${configuration.targetUrl}: ${issues.length} with issues`);
+    return {
+      passed: counts.broken + counts.unpublishedProduct + counts.redirectLoop === 0,
+      found: links.size,
+      checked: results.length,
+      skipped: links.size - results.length,
+      redirected: results.filter(result => result.redirects.length > 0).length,
+      counts,
+      issues
+    };
+  }
+}
+
+export default new LinkCheckService();
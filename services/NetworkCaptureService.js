@@ -0,0 +1,296 @@
+import { getDomain } from 'tldts';
+
+// Scripts and origins kept in the third-party inventory, busiest first
+const MAX_INVENTORY_ORIGINS = 100;
+const MAX_INVENTORY_SCRIPTS = 200;
+
+const CREATOR = { name: 'ProductPageMonitor', version: '1.0' };
+
+// HAR httpVersion for the ALPN protocol ids Chromium reports
+const HTTP_VERSIONS = { 'http/0.9': 'HTTP/0.9', 'http/1.0': 'HTTP/1.0', 'http/1.1': 'HTTP/1.1', h2: 'HTTP/2', h2c: 'HTTP/2', quic: 'HTTP/3' };
+const httpVersion = (protocol) => {
+  if (!protocol) return 'unknown';
+  return HTTP_VERSIONS[protocol] || (/^h3/.test(protocol) ? 'HTTP/3' : protocol.toUpperCase());
+};
+
+class NetworkCaptureService {
+  // Record every request the page makes into `network.entries`, tagged with
+  // the product page and phase running when the request started. Headers
+  // are only kept when the run records HAR files. Playwright does not expose
+  // the HTTP version, so it is read from the DevTools protocol where the
+  // browser has one (Chromium) and left unknown elsewhere.
+  async attach(page, run) {
+    const { network } = run;
+    const started = new WeakMap();
+    const protocols = new Map();
+
+    try {
+      const session = await page.context().newCDPSession(page);
+      session.on('Network.responseReceived', ({ response }) => {
+        if (response.protocol) protocols.set(response.url, response.protocol);
+      });
+      await session.send('Network.enable');
+    } catch (e) {
+      // Not Chromium
+    }
+
+    page.on('request', (request) => {
+      started.set(request, {
+        pageUrl: run.location.pageUrl,
+        phase: run.location.phase,
+        startedDateTime: new Date()
+      });
+    });
+
+    const track = (request, failure) => {
+      const pending = this.record(request, started.get(request) || {}, failure, network.recordHar, protocols.get(request.url()))
+        .then(entry => network.entries.push(entry))
+        .catch(() => {})
+        .finally(() => network.pending.delete(pending));
+      network.pending.add(pending);
+    };
+    page.on('requestfinished', request => track(request, null));
+    page.on('requestfailed', request => track(request, request.failure()?.errorText || 'Request failed'));
+  }
+
+  // Wait for entries still being read from finished requests
+  async settle(network) {
+    await Promise.allSettled([...network.pending]);
+  }
+
+  async record(request, origin, failure, withHeaders, protocol = null) {
+    const response = failure ? null : await request.response().catch(() => null);
+    const sizes = await request.sizes().catch(() => null);
+    const timing = request.timing();
+
+    // Playwright reports -1 for phases that did not happen. HAR allows -1
+    // only for blocked, dns, connect and ssl; send, wait and receive are
+    // never negative. Playwright has no request end time, so the send phase
+    // is counted in wait.
+    const span = (start, end) => (start >= 0 && end >= 0 ? Math.max(0, end - start) : -1);
+    const timings = {
+      blocked: -1,
+      dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+      connect: span(timing.connectStart, timing.connectEnd),
+      ssl: span(timing.secureConnectionStart, timing.connectEnd),
+      send: 0,
+      wait: Math.max(0, span(timing.requestStart, timing.responseStart)),
+      receive: Math.max(0, span(timing.responseStart, timing.responseEnd))
+    };
+
+    return {
+      ...origin,
+      startedDateTime: timing.startTime > 0 ? new Date(timing.startTime) : origin.startedDateTime || new Date(),
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      status: response?.status() ?? 0,
+      statusText: response?.statusText() ?? '',
+      mimeType: response?.headers()['content-type'] || '',
+      requestHeaders: withHeaders ? await request.headersArray().catch(() => []) : [],
+      responseHeaders: withHeaders && response ? await response.headersArray().catch(() => []) : [],
+      requestHeadersSize: sizes?.requestHeadersSize ?? -1,
+      requestBodySize: sizes?.requestBodySize ?? 0,
+      responseHeadersSize: sizes?.responseHeadersSize ?? -1,
+      responseBodySize: sizes?.responseBodySize ?? -1,
+      serverIPAddress: (await response?.serverAddr().catch(() => null))?.ipAddress,
+      httpVersion: httpVersion(protocol),
+      timings,
+      // Sum of the phases; ssl is already part of connect
+      time: ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].reduce((sum, phase) => sum + Math.max(0, timings[phase]), 0),
+      failure
+    };
+  }
+
+  // HAR 1.2 log of one tested page. Bodies are left out to keep the files
+  // small; sizes, headers and timings are complete.
+  buildHar(pageId, pageUrl, entries, tags = {}) {
+    const ordered = [...entries].sort((a, b) => a.startedDateTime - b.startedDateTime);
+    const query = (url) => {
+      try {
+        return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+      } catch (e) {
+        return [];
+      }
+    };
+
+    return {
+      log: {
+        version: '1.2',
+        creator: CREATOR,
+        browser: { name: tags.browser || 'unknown', version: '', comment: tags.device },
+        pages: [{
+          id: pageId,
+          startedDateTime: (ordered[0]?.startedDateTime || new Date()).toISOString(),
+          title: pageUrl,
+          pageTimings: { onContentLoad: -1, onLoad: -1 }
+        }],
+        entries: ordered.map(entry => ({
+          pageref: pageId,
+          startedDateTime: entry.startedDateTime.toISOString(),
+          time: Math.max(0, entry.time),
+          request: {
+            method: entry.method,
+            url: entry.url,
+            httpVersion: entry.httpVersion || 'unknown',
+            cookies: [],
+            headers: entry.requestHeaders,
+            queryString: query(entry.url),
+            headersSize: entry.requestHeadersSize,
+            bodySize: entry.requestBodySize
+          },
+          response: {
+            status: entry.status,
+            statusText: entry.statusText,
+            httpVersion: entry.httpVersion || 'unknown',
+            cookies: [],
+            headers: entry.responseHeaders,
+            content: { size: Math.max(0, entry.responseBodySize), mimeType: entry.mimeType },
+            redirectURL: entry.responseHeaders.find(header => header.name.toLowerCase() === 'location')?.value || '',
+            headersSize: entry.responseHeadersSize,
+            bodySize: entry.responseBodySize,
+            ...(entry.failure && { _failureText: entry.failure })
+          },
+          cache: {},
+          timings: entry.timings,
+          ...(entry.serverIPAddress && { serverIPAddress: entry.serverIPAddress }),
+          _resourceType: entry.resourceType
+        }))
+      }
+    };
+  }
+
+  // Several page HARs as one log, for downloading a whole execution
+  mergeHars(hars) {
+    return {
+      log: {
+        version: '1.2',
+        creator: CREATOR,
+        pages: hars.flatMap(har => har.log.pages),
+        entries: hars.flatMap(har => har.log.entries)
+      }
+    };
+  }
+
+  // Registrable domain of a host, e.g. example.co.uk for shop.example.co.uk.
+  // Platform domains such as myshopify.com count as public suffixes, so two
+  // stores on one platform stay apart. IPs and single-label hosts stand alone.
+  registrableDomain(hostname) {
+    return getDomain(hostname, { allowPrivateDomains: true }) || hostname;
+  }
+
+  // Domains counted as the store itself: those of the target and of the
+  // listed product pages, with every subdomain (shop., cdn., ...)
+  firstPartyHosts(configuration) {
+    const hosts = [configuration.targetUrl, ...configuration.productPages.map(page => page.url)].map((url) => {
+      try {
+        return this.registrableDomain(new URL(url).hostname);
+      } catch (e) {
+        return null;
+      }
+    }).filter(Boolean);
+    return [...new Set(hosts)];
+  }
+
+  isFirstParty(hostname, firstParty) {
+    return firstParty.includes(this.registrableDomain(hostname));
+  }
+
+  // Third-party origins and scripts seen during the run, with the bytes they
+  // cost, their request time, failed requests and the JS errors whose stack
+  // points into them
+  buildInventory(configuration, entries, jsErrors = []) {
+    const firstParty = this.firstPartyHosts(configuration);
+    const origins = new Map();
+    const scripts = new Map();
+    let requests = 0;
+    let bytes = 0;
+
+    const withoutHash = (url) => url.split('#')[0];
+    const tally = (record, entry, transferred) => {
+      record.requests++;
+      record.bytes += transferred;
+      record.totalTime += Math.max(0, entry.time);
+      if (entry.failure || entry.status >= 400) record.failed++;
+    };
+
+    for (const entry of entries) {
+      let parsed;
+      try {
+        parsed = new URL(entry.url);
+      } catch (e) {
+        continue;
+      }
+      if (!/^https?:$/.test(parsed.protocol) || this.isFirstParty(parsed.hostname, firstParty)) continue;
+
+      const transferred = Math.max(0, entry.responseBodySize) + Math.max(0, entry.responseHeadersSize);
+      requests++;
+      bytes += transferred;
+
+      if (!origins.has(parsed.origin)) {
+        origins.set(parsed.origin, { origin: parsed.origin, domain: parsed.hostname, requests: 0, bytes: 0, totalTime: 0, failed: 0, jsErrors: 0, resourceTypes: new Set(), pages: new Set() });
+      }
+      const origin = origins.get(parsed.origin);
+      tally(origin, entry, transferred);
+      origin.resourceTypes.add(entry.resourceType);
+      if (entry.pageUrl) origin.pages.add(entry.pageUrl);
+
+      if (entry.resourceType === 'script') {
+        const url = withoutHash(entry.url);
+        if (!scripts.has(url)) {
+          scripts.set(url, { url, domain: parsed.hostname, requests: 0, bytes: 0, totalTime: 0, failed: 0, jsErrors: 0, pages: new Set() });
+        }
+        const script = scripts.get(url);
+        tally(script, entry, transferred);
+        if (entry.pageUrl) script.pages.add(entry.pageUrl);
+      }
+    }
+
+    for (const error of jsErrors) {
+      if (!error.source) continue;
+      try {
+        const source = new URL(error.source);
+        if (origins.has(source.origin)) origins.get(source.origin).jsErrors++;
+      } catch (e) {
+        continue;
+      }
+      const script = scripts.get(withoutHash(error.source));
+      if (script) script.jsErrors++;
+    }
+
+    const finish = ({ pages, resourceTypes, ...record }) => ({
+      ...record,
+      averageTime: record.requests > 0 ? Math.round(record.totalTime / record.requests) : 0,
+      totalTime: Math.round(record.totalTime),
+      pages: pages.size,
+      ...(resourceTypes && { resourceTypes: [...resourceTypes] })
+    });
+
+    return {
+      firstParty,
+      requests,
+      bytes,
+      origins: [...origins.values()].sort((a, b) => b.requests - a.requests).slice(0, MAX_INVENTORY_ORIGINS).map(finish),
+      scripts: [...scripts.values()].sort((a, b) => b.bytes - a.bytes).slice(0, MAX_INVENTORY_SCRIPTS).map(finish)
+    };
+  }
+
+  // Third-party domains and scripts that appeared or went away between two inventories
+  diffInventories(previous, current) {
+    const domains = (inventory) => new Set((inventory?.origins || []).map(origin => origin.domain));
+    const scriptUrls = (inventory) => new Set((inventory?.scripts || []).map(script => script.url));
+    const before = domains(previous);
+    const after = domains(current);
+    const scriptsBefore = scriptUrls(previous);
+    const scriptsAfter = scriptUrls(current);
+
+    return {
+      newDomains: [...after].filter(domain => !before.has(domain)),
+      removedDomains: [...before].filter(domain => !after.has(domain)),
+      newScripts: [...scriptsAfter].filter(url => !scriptsBefore.has(url)),
+      removedScripts: [...scriptsBefore].filter(url => !scriptsAfter.has(url))
+    };
+  }
+}
+
+export default new NetworkCaptureService();
@@ -0,0 +1,106 @@
+import ShopifyAdapter from './platforms/ShopifyAdapter.js';
+import BigCommerceAdapter from './platforms/BigCommerceAdapter.js';
+import PriceService from './PriceService.js';
+
+/**
+ * Knowledge of a commerce platform's themes and endpoints, selected by
+ * TestConfiguration.platform. Configurations on 'other' platforms, or on
+ * platforms without an adapter, use the generic heuristics only.
+ *
+ * An adapter is any object with:
+ *   name                       platform name, as in the TestConfiguration enum
+ *   selectors                  element configs (selectors, textPatterns, contentPatterns,
+ *                              attributes) keyed by title, price, addToCart,
+ *                              description, variants and availability. Tried before
+ *                              the generic ones; any may be left out.
+ *   productPathPattern         optional RegExp matching product page paths, and
+ *   collectionPathPattern      optional RegExp matching listing pages, for product discovery
+ *   cart                       optional { cartPath, addRequest: RegExp, clear(page) -> Promise<boolean> }
+ *                              for add-to-cart verification and cleanup
+ *   fetchProduct(page, url)    optional, -> Promise<product | null>. Ground truth for the
+ *                              product on `url`, read through the loaded page:
+ *                              { source, title, price, compareAtPrice, currency, available,
+ *                                variants: [{ id, title, price, available }] }
+ *                              Resolve null when the page is not a product; throw when
+ *                              the platform endpoint fails.
+ *
+ * Adding a platform (WooCommerce's Store API or Magento's GraphQL, say)
+ * means adding it to the platform enum and calling registerAdapter().
+ */
+class PlatformAdapterService {
+  constructor() {
+    this.adapters = {
+      shopify: new ShopifyAdapter(),
+      bigcommerce: new BigCommerceAdapter()
+    };
+  }
+
+  registerAdapter(name, adapter) {
+    this.adapters[name] = adapter;
+  }
+
+  get(platform) {
+    return this.adapters[platform] || null;
+  }
+
+  // Compare the rendered product with the platform's own data.
+  // `onScreen` is { title, priceText, price, inStock } from the page check,
+  // `price` being the displayed price as PriceService parsed it.
+  async verifyProduct(adapter, page, url, onScreen) {
+    const check = { platform: adapter.name, source: null, product: null, mismatches: [], errors: [] };
+
+    let product;
+    try {
+      product = await adapter.fetchProduct(page, url);
+    } catch (error) {
+      check.errors.push(`Could not load ${adapter.name} product data: ${error.message}`);
+      return check;
+    }
+    if (!product) return check;
+
+    check.source = product.source;
+    check.product = {
+      title: product.title,
+      price: product.price,
+      compareAtPrice: product.compareAtPrice,
+      currency: product.currency,
+      available: product.available,
+      variantCount: product.variants.length
+    };
+
+    const mismatch = (field, expected, actual, message) => {
+      check.mismatches.push({ field, expected: String(expected), actual: String(actual), message });
+    };
+
+    const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (product.title && onScreen.title && !normalize(onScreen.title).includes(normalize(product.title))) {
+      mismatch('title', product.title, onScreen.title, `Displayed title "${onScreen.title}" is not the product title "${product.title}"`);
+    }
+
+    // The page may show any variant's price, so match against all of them
+    const shown = onScreen.price;
+    const prices = [product.price, ...product.variants.map(variant => variant.price)].filter(price => price != null);
+    if (shown?.amount != null && prices.length > 0 && !PriceService.agreesWith(shown, prices)) {
+      mismatch('price', prices[0], PriceService.describe(shown), `Displayed price ${onScreen.priceText} matches no ${adapter.name} price (${[...new Set(prices)].join(', ')})`);
+    }
+    if (shown?.compareAtAmount != null && product.compareAtPrice != null
+      && !PriceService.agreesWith({ amount: shown.compareAtAmount }, [product.compareAtPrice])) {
+      mismatch('compareAtPrice', product.compareAtPrice, shown.compareAtAmount,
+        `Displayed compare-at price ${shown.compareAtAmount} is not the ${adapter.name} compare-at price ${product.compareAtPrice}`);
+    }
+
+    const shownCurrencies = PriceService.shownCurrencies(shown);
+    if (shownCurrencies && product.currency && !shownCurrencies.includes(product.currency)) {
+      mismatch('currency', product.currency, shownCurrencies.join('/'), `Displayed price ${onScreen.priceText} is not in the store currency ${product.currency}`);
+    }
+
+    if (onScreen.inStock != null && product.available != null && onScreen.inStock !== product.available) {
+      mismatch('availability', product.available ? 'available' : 'sold out', onScreen.inStock ? 'in stock' : 'out of stock',
+        `Page shows ${onScreen.inStock ? 'in stock' : 'out of stock'} but ${adapter.name} reports the product ${product.available ? 'available' : 'sold out'}`);
+    }
+
+    return check;
+  }
+}
+
+export default new PlatformAdapterService();
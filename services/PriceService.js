@@ -0,0 +1,275 @@
+import PriceHistory from '../models/PriceHistory.js';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Symbols that name a single currency. '$' alone is shared by many, so it
+// only rules out currencies that do not use it.
+const CURRENCY_SYMBOLS = {
+  '€': ['EUR'], '£': ['GBP'], '₹': ['INR'], '¥': ['JPY', 'CNY'], '₩': ['KRW'], '₽': ['RUB'],
+  '₺': ['TRY'], '₪': ['ILS'], '₫': ['VND'], '₱': ['PHP'], 'zł': ['PLN'], 'kr': ['SEK', 'NOK', 'DKK', 'ISK'],
+  'R$': ['BRL'], 'CHF': ['CHF'], 'Rs': ['INR', 'PKR', 'LKR', 'NPR'], '₨': ['INR', 'PKR', 'LKR', 'NPR'],
+  '$': ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'MXN', 'TWD', 'ARS', 'CLP', 'COP']
+};
+
+const ISO_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+// Displayed and reference prices (schema, platform) must agree to within a cent
+const PRICE_TOLERANCE = 0.01;
+
+// Amounts in displayed text: digits grouped by thousands (Indian lakh
+// grouping included) with an optional decimal part, or plain digits
+const AMOUNT_PATTERN = /\d{1,3}(?:,\d{2})*(?:[.,\s'’]\d{3})+(?:[.,]\d{1,2})?(?!\d)|\d+(?:[.,]\d{1,2})?(?!\d)/g;
+
+// Text just before an amount that makes it something other than a price:
+// savings, instalment offers
+const NOT_A_PRICE_BEFORE = /\b(save|you save|saving|discount|payments? of|instal?lments? of)\b[^\d]*$/i;
+const NOT_A_PRICE_AFTER = /^\s*(%|off\b|x\b|(interest-free\s+)?(payments|instal?lments)\b)/i;
+// Text just before an amount marking it as the price before the sale
+const COMPARE_AT_BEFORE = /\b(was|regular( price)?|compare( at)?|original( price)?|rrp|msrp|list price)\b[^\d]*$/i;
+// Between two amounts of a range: "$10 - $20", "10 to 20 EUR"
+const RANGE_SEPARATOR = /^[^\d]*?(–|—|-|\bto\b)[^\d]*$/i;
+
+class PriceService {
+  // Decimal separator of a locale, or null to guess from the text
+  decimalSeparator(locale) {
+    if (!locale) return null;
+    try {
+      return new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal')?.value || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Number from one amount token. Without a locale, the last '.' or ','
+  // followed by one or two digits is read as the decimal separator. A token
+  // using both separators, like "$1,299.00" on a de-DE store, says itself
+  // which one is decimal: the rightmost.
+  toAmount(token, decimal) {
+    if (token.includes('.') && token.includes(',')) {
+      decimal = token[Math.max(token.lastIndexOf('.'), token.lastIndexOf(','))];
+    }
+    if (!decimal) {
+      const digits = token.replace(/[\s'’]/g, '').replace(/[.,]$/, '');
+      const fraction = digits.match(/[.,](\d{1,2})$/);
+      const whole = (fraction ? digits.slice(0, -fraction[0].length) : digits).replace(/[.,]/g, '');
+      const amount = parseFloat(fraction ? `${whole}.${fraction[1]}` : whole);
+      return Number.isFinite(amount) ? amount : null;
+    }
+    const [whole, fraction = ''] = token.split(decimal);
+    const amount = parseFloat(`${whole.replace(/\D/g, '')}.${fraction.replace(/\D/g, '') || '0'}`);
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  // Amount and ISO currency of a displayed price such as "Rs. 1,299.00 Sale",
+  // "1.299,00 €", "$29.99 $39.99" (sale and compare-at) or "$10 – $20".
+  // `locale` fixes the decimal separator; `currency` settles ambiguous
+  // symbols like $.
+  parse(text, { locale = null, currency = null } = {}) {
+    const source = String(text ?? '');
+    const decimal = this.decimalSeparator(locale);
+
+    const amounts = [];
+    for (const match of source.matchAll(AMOUNT_PATTERN)) {
+      const before = source.slice(Math.max(0, match.index - 30), match.index);
+      const after = source.slice(match.index + match[0].length);
+      if (NOT_A_PRICE_BEFORE.test(before) || NOT_A_PRICE_AFTER.test(after)) continue;
+
+      const amount = this.toAmount(match[0].trim(), decimal);
+      if (amount === null) continue;
+      amounts.push({ amount, compareAt: COMPARE_AT_BEFORE.test(before), start: match.index, end: match.index + match[0].length });
+    }
+
+    const candidates = this.currenciesIn(source);
+    let resolved = null;
+    if (currency && (!candidates || candidates.includes(currency))) {
+      resolved = currency;
+    } else if (candidates?.length === 1) {
+      resolved = candidates[0];
+    }
+
+    const parsed = {
+      amount: null,
+      currency: resolved,
+      currencyCandidates: candidates || [],
+      compareAtAmount: null,
+      onSale: false,
+      isRange: false,
+      minAmount: null,
+      maxAmount: null
+    };
+    if (amounts.length === 0) return parsed;
+
+    const [first, second] = amounts;
+    if (second && !first.compareAt && !second.compareAt && RANGE_SEPARATOR.test(source.slice(first.end, second.start))) {
+      parsed.isRange = true;
+      parsed.minAmount = Math.min(first.amount, second.amount);
+      parsed.maxAmount = Math.max(first.amount, second.amount);
+      parsed.amount = parsed.minAmount;
+      return parsed;
+    }
+
+    // Labelled "was"/"regular" amounts are compare-at prices; otherwise the
+    // lower of two amounts is the sale price
+    const current = amounts.filter(entry => !entry.compareAt);
+    const compareAt = amounts.filter(entry => entry.compareAt);
+    if (current.length === 0) {
+      parsed.amount = compareAt[0].amount;
+    } else if (compareAt.length > 0) {
+      parsed.amount = current[0].amount;
+      parsed.compareAtAmount = compareAt[0].amount;
+    } else {
+      parsed.amount = Math.min(...current.slice(0, 2).map(entry => entry.amount));
+      const higher = Math.max(...current.slice(0, 2).map(entry => entry.amount));
+      parsed.compareAtAmount = higher > parsed.amount ? higher : null;
+    }
+    parsed.onSale = parsed.compareAtAmount !== null && parsed.compareAtAmount > parsed.amount;
+    return parsed;
+  }
+
+  // ISO codes the displayed price could be in, or null when it names none
+  currenciesIn(text = '') {
+    const code = (text.match(/\b[A-Z]{3}\b/g) || []).find(candidate => ISO_CURRENCIES.has(candidate));
+    if (code) return [code];
+
+    const symbol = Object.keys(CURRENCY_SYMBOLS)
+      .sort((a, b) => b.length - a.length)
+      .find(candidate => text.includes(candidate));
+    return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+  }
+
+  // Settle the currency a parsed price's text left open, like the $ of
+  // "$29.99", with the first hint it could be in: the store's currency from
+  // its platform or its page metadata
+  resolveCurrency(parsed, hints = []) {
+    if (!parsed || parsed.currency) return parsed;
+    parsed.currency = hints
+      .map(hint => (typeof hint === 'string' ? hint.trim().toUpperCase() : null))
+      .find(hint => ISO_CURRENCIES.has(hint) && (parsed.currencyCandidates.length === 0 || parsed.currencyCandidates.includes(hint))) || null;
+    return parsed;
+  }
+
+  // Currencies the page's metadata gives for its product: Open Graph, then
+  // microdata, then JSON-LD
+  async pageCurrencies(page) {
+    return page.evaluate(() => {
+      const found = [
+        ...[...document.querySelectorAll('meta[property="product:price:currency"], meta[property="og:price:currency"], meta[name="og:price:currency"]')]
+          .map(meta => meta.content),
+        ...[...document.querySelectorAll('[itemprop="priceCurrency"]')]
+          .map(element => element.getAttribute('content') || element.textContent),
+        ...[...document.querySelectorAll('script[type="application/ld+json"]')]
+          .flatMap(script => [...script.textContent.matchAll(/"priceCurrency"\s*:\s*"([A-Za-z]{3})"/g)].map(match => match[1]))
+      ];
+      return [...new Set(found.filter(Boolean).map(currency => currency.trim()))];
+    });
+  }
+
+  // Currencies a parsed price may be in, or null when the text names none
+  shownCurrencies(parsed) {
+    if (!parsed) return null;
+    if (parsed.currency) return [parsed.currency];
+    return parsed.currencyCandidates?.length ? parsed.currencyCandidates : null;
+  }
+
+  // Price from structured data or a platform API: a number or a plain
+  // decimal string per schema.org, else parsed like displayed text
+  schemaAmount(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (/^\s*\d+(\.\d+)?\s*$/.test(value)) return parseFloat(value);
+    return this.parse(value).amount;
+  }
+
+  // Whether a parsed displayed price agrees with any of `amounts`. A shown
+  // range agrees with amounts inside it; a shown price agrees with a
+  // low-high range that contains it.
+  agreesWith(parsed, amounts, { low = null, high = null } = {}) {
+    if (parsed?.amount == null) return false;
+    if (parsed.isRange) {
+      return amounts.some(amount => amount >= parsed.minAmount - PRICE_TOLERANCE && amount <= parsed.maxAmount + PRICE_TOLERANCE);
+    }
+    return amounts.some(amount => Math.abs(amount - parsed.amount) < PRICE_TOLERANCE)
+      || (low !== null && high !== null && parsed.amount >= low - PRICE_TOLERANCE && parsed.amount <= high + PRICE_TOLERANCE);
+  }
+
+  describe(parsed) {
+    if (parsed.isRange) return `${parsed.minAmount}-${parsed.maxAmount}`;
+    return String(parsed.amount);
+  }
+
+  // Alerts for a price that is missing, zero or not a number
+  invalidPriceAlert(url, text, parsed) {
+    if (parsed.amount === null || Number.isNaN(parsed.amount)) {
+      return { url, type: 'unparseable', text, message: `Displayed price "${text}" on ${url} has no readable amount` };
+    }
+    if (parsed.amount === 0) {
+      return { url, type: 'zero', amount: 0, currency: parsed.currency, text, message: `Displayed price on ${url} is zero` };
+    }
+    return null;
+  }
+
+  // Record this run's price of each product page and compare it with the
+  // last recorded one. Pages tested in several browsers count once.
+  async recordHistory(configuration, testResult) {
+    const maxChangePercent = configuration.pricing?.maxChangePercent ?? 20;
+    const alerts = [];
+    const seen = new Set();
+
+    for (const test of testResult.results.productPageTests) {
+      if (seen.has(test.url) || !test.elements?.price?.present) continue;
+      seen.add(test.url);
+
+      const { text, parsed } = test.elements.price;
+      if (!parsed) continue;
+
+      const invalid = this.invalidPriceAlert(test.url, text, parsed);
+      if (invalid) {
+        alerts.push(invalid);
+        continue;
+      }
+
+      const previous = await PriceHistory.findOne({ configurationId: configuration._id, url: test.url }).sort({ recordedAt: -1 });
+      await PriceHistory.create({
+        configurationId: configuration._id,
+        url: test.url,
+        executionId: testResult.executionId,
+        amount: parsed.amount,
+        currency: parsed.currency,
+        compareAtAmount: parsed.compareAtAmount,
+        onSale: parsed.onSale,
+        minAmount: parsed.minAmount,
+        maxAmount: parsed.maxAmount,
+        text
+      });
+      if (!previous?.amount) continue;
+
+      const comparison = { url: test.url, previousAmount: previous.amount, amount: parsed.amount, currency: parsed.currency, previousExecutionId: previous.executionId, text };
+      if (previous.currency && parsed.currency && previous.currency !== parsed.currency) {
+        alerts.push({ ...comparison, type: 'currency', message: `Price on ${test.url} changed currency from ${previous.currency} to ${parsed.currency}` });
+        continue;
+      }
+
+      const changePercent = Math.round(((parsed.amount - previous.amount) / previous.amount) * 10000) / 100;
+      if (Math.abs(changePercent) > maxChangePercent) {
+        alerts.push({
+          ...comparison,
+          type: 'change',
+          changePercent,
+          message: `Price on ${test.url} ${changePercent < 0 ? 'dropped' : 'rose'} ${Math.abs(changePercent)}% from ${previous.amount} to ${parsed.amount}${parsed.currency ? ` ${parsed.currency}` : ''}`
+        });
+      }
+    }
+
+    if (alerts.length > 0) {
+      logger.warn(`${alerts.length} price alerts on ${configuration.targetUrl}`);
+    }
+    return alerts;
+  }
+}
+
+export default new PriceService();
@@ -0,0 +1,243 @@
+import { gunzipSync } from 'zlib';
+import PlatformAdapterService from './PlatformAdapterService.js';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; ProductPageMonitor/1.0; +product discovery)',
+  Accept: 'text/html,application/xml,text/xml;q=0.9,*/*;q=0.8'
+};
+const REQUEST_TIMEOUT = 15000;
+
+// Sitemap files read per discovery, indexes included
+const MAX_SITEMAPS = 50;
+
+// Used when neither the configuration nor the platform adapter says what a
+// product or a listing URL looks like
+const GENERIC_PRODUCT_PATH = /\/(products?|p|item|items|dp)\/[^/]+\/?$/i;
+const GENERIC_COLLECTION_PATH = /\/(collections?|categor(y|ies)|catalog|department|shop|c)(\/[^/]*)?\/?$/i;
+
+class ProductDiscoveryService {
+  async fetchText(url) {
+    const response = await fetch(url, { headers: REQUEST_HEADERS, redirect: 'follow', signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+    if (!response.ok) {
+      throw new Error(`${url} responded ${response.status}`);
+    }
+    const body = Buffer.from(await response.arrayBuffer());
+    // Gzipped sitemaps are often served without a Content-Encoding header
+    const text = body[0] === 0x1f && body[1] === 0x8b ? gunzipSync(body).toString('utf8') : body.toString('utf8');
+    return { text, url: response.url };
+  }
+
+  // Query string and fragment rarely identify a different product
+  normalizeUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.search = '';
+    return parsed.href;
+  }
+
+  compilePatterns(patterns = []) {
+    return patterns.filter(Boolean).map(pattern => new RegExp(pattern, 'i'));
+  }
+
+  // Whether a URL is a product page under the configured, platform or
+  // generic rules. Exclusions always win.
+  isProductUrl(url, rules, { fromProductSitemap = false } = {}) {
+    if (rules.exclude.some(pattern => pattern.test(url))) return false;
+    if (rules.include.length > 0) return rules.include.some(pattern => pattern.test(url));
+    if (fromProductSitemap) return true;
+    return rules.productPath.test(new URL(url).pathname);
+  }
+
+  buildRules(configuration, settings) {
+    const adapter = PlatformAdapterService.get(configuration.platform);
+    return {
+      include: this.compilePatterns(settings.includePatterns),
+      exclude: this.compilePatterns(settings.excludePatterns),
+      productPath: adapter?.productPathPattern || GENERIC_PRODUCT_PATH,
+      collectionPath: adapter?.collectionPathPattern || GENERIC_COLLECTION_PATH
+    };
+  }
+
+  parseSitemap(xml) {
+    const entries = (tag) => [...xml.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'gi'))].map(match => {
+      const field = (name) => match[1].match(new RegExp(`<${name}\\b[^>]*>\\s*(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?\\s*</${name}>`, 'i'))?.[1]
+        .replace(/&amp;/g, '&').trim();
+      return { loc: field('loc'), lastmod: field('lastmod') };
+    }).filter(entry => entry.loc);
+
+    return { sitemaps: entries('sitemap'), urls: entries('url') };
+  }
+
+  // Sitemaps named in robots.txt, or /sitemap.xml when it names none
+  async findSitemaps(origin) {
+    try {
+      const { text } = await this.fetchText(new URL('/robots.txt', origin).href);
+      const sitemaps = [...text.matchAll(/^\s*sitemap:\s*(\S+)/gim)].map(match => match[1]);
+      if (sitemaps.length > 0) return sitemaps;
+    } catch (error) {
+      logger.info(`No robots.txt for ${origin}: ${error.message}`);
+    }
+    return [new URL('/sitemap.xml', origin).href];
+  }
+
+  async discoverFromSitemaps(configuration, settings, rules, result) {
+    const origin = new URL(configuration.targetUrl).origin;
+    const queue = (await this.findSitemaps(origin)).map(loc => ({ loc, productSitemap: /product/i.test(loc) }));
+    const seen = new Set();
+    const found = new Map();
+
+    while (queue.length > 0 && result.sitemaps.length < MAX_SITEMAPS && found.size < settings.maxUrls) {
+      const { loc, productSitemap } = queue.shift();
+      if (seen.has(loc)) continue;
+      seen.add(loc);
+
+      let parsed;
+      try {
+        parsed = this.parseSitemap((await this.fetchText(loc)).text);
+        result.sitemaps.push(loc);
+      } catch (error) {
+        result.errors.push(`Sitemap ${loc}: ${error.message}`);
+        continue;
+      }
+
+      // Indexes usually split products into their own files; follow only
+      // those when there are any
+      const children = parsed.sitemaps.filter(child => !seen.has(child.loc));
+      const productChildren = children.filter(child => /product/i.test(child.loc));
+      for (const child of productChildren.length > 0 ? productChildren : children) {
+        queue.push({ loc: child.loc, productSitemap: productSitemap || /product/i.test(child.loc) });
+      }
+
+      for (const entry of parsed.urls) {
+        if (found.size >= settings.maxUrls) break;
+        let url;
+        try {
+          url = this.normalizeUrl(entry.loc);
+        } catch (e) {
+          continue;
+        }
+        if (new URL(url).origin !== origin || found.has(url)) continue;
+        if (!this.isProductUrl(url, rules, { fromProductSitemap: productSitemap })) continue;
+        const lastmod = entry.lastmod ? new Date(entry.lastmod) : null;
+        found.set(url, { url, lastmod: lastmod && !isNaN(lastmod) ? lastmod : null, source: 'sitemap' });
+      }
+    }
+
+    return [...found.values()];
+  }
+
+  extractLinks(html, baseUrl) {
+    const links = new Set();
+    for (const match of html.matchAll(/<a\b[^>]*\bhref\s*=\s*["']([^"'#]+)["']/gi)) {
+      try {
+        links.add(new URL(match[1].replace(/&amp;/g, '&'), baseUrl).href);
+      } catch (e) {
+        // Not a URL
+      }
+    }
+    return [...links];
+  }
+
+  // Breadth-first over listing pages from the home page, collecting product
+  // links. Depth counts listing pages followed from targetUrl.
+  async discoverByCrawling(configuration, settings, rules, result) {
+    const origin = new URL(configuration.targetUrl).origin;
+    const queue = [{ url: configuration.targetUrl, depth: 0 }];
+    const visited = new Set();
+    const found = new Map();
+
+    while (queue.length > 0 && result.crawledPages < settings.maxPages && found.size < settings.maxUrls) {
+      const { url, depth } = queue.shift();
+      if (visited.has(url)) continue;
+      visited.add(url);
+
+      let html;
+      try {
+        html = (await this.fetchText(url)).text;
+        result.crawledPages++;
+      } catch (error) {
+        result.errors.push(`Crawl ${url}: ${error.message}`);
+        continue;
+      }
+
+      for (const link of this.extractLinks(html, url)) {
+        const parsed = new URL(link);
+        if (parsed.origin !== origin) continue;
+
+        const productUrl = this.normalizeUrl(link);
+        if (this.isProductUrl(productUrl, rules)) {
+          if (!found.has(productUrl) && found.size < settings.maxUrls) {
+            found.set(productUrl, { url: productUrl, lastmod: null, source: 'crawl' });
+          }
+          continue;
+        }
+
+        // Listing pages, keeping only the pagination parameter
+        if (depth < settings.maxDepth && rules.collectionPath.test(parsed.pathname)
+          && !rules.exclude.some(pattern => pattern.test(link))) {
+          const page = parsed.searchParams.get('page');
+          parsed.hash = '';
+          parsed.search = page ? `?page=${encodeURIComponent(page)}` : '';
+          if (!visited.has(parsed.href)) queue.push({ url: parsed.href, depth: depth + 1 });
+        }
+      }
+    }
+
+    return [...found.values()];
+  }
+
+  // All product URLs found for a configuration
+  async discover(configuration) {
+    const saved = configuration.discovery?.toObject?.() ?? configuration.discovery ?? {};
+    const settings = {
+      source: 'auto',
+      maxDepth: 2,
+      maxPages: 50,
+      maxUrls: 500,
+      ...saved
+    };
+    const rules = this.buildRules(configuration, settings);
+    const result = { source: null, urls: [], sitemaps: [], crawledPages: 0, errors: [] };
+
+    if (settings.source !== 'crawl') {
+      result.urls = await this.discoverFromSitemaps(configuration, settings, rules, result);
+      result.source = 'sitemap';
+    }
+    // Sitemaps missing or without products: fall back to crawling
+    if (settings.source === 'crawl' || (settings.source === 'auto' && result.urls.length === 0)) {
+      result.urls = await this.discoverByCrawling(configuration, settings, rules, result);
+      result.source = 'crawl';
+    }
+
+    logger.info(`Discovered ${result.urls.length} product pages on ${configuration.targetUrl} from ${result.source}`);
+    return result;
+  }
+
+  // Pick the pages to test this run: every URL, a random N, or the N most
+  // recently modified per the sitemap (undated URLs last)
+  sample(urls, { mode = 'all', size = 10 } = {}) {
+    if (mode === 'random') {
+      const shuffled = [...urls];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return shuffled.slice(0, size);
+    }
+    if (mode === 'newest') {
+      return [...urls]
+        .sort((a, b) => (b.lastmod?.getTime() || 0) - (a.lastmod?.getTime() || 0))
+        .slice(0, size);
+    }
+    return urls;
+  }
+}
+
+export default new ProductDiscoveryService();
@@ -0,0 +1,93 @@
+import TestConfiguration from '../models/TestConfiguration.js';
+import JobQueueService from './JobQueueService.js';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+class SchedulerService {
+  constructor() {
+    this.interval = parseInt(process.env.SCHEDULER_INTERVAL) || 30000;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    logger.info(`Scheduler started, checking every ${this.interval}ms`);
+    this.timer = setInterval(() => this.tick(), this.interval);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // Skip overlapping ticks when a pass takes longer than the interval
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.backfillNextRuns();
+      await this.runDueConfigurations();
+    } catch (error) {
+      logger.error('Scheduler tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Enabled schedules saved before nextRunAt existed have nothing to fire on
+  async backfillNextRuns() {
+    const configurations = await TestConfiguration.find({
+      'schedule.enabled': true,
+      'schedule.nextRunAt': null
+    });
+
+    for (const configuration of configurations) {
+      await TestConfiguration.updateOne(
+        { _id: configuration._id, 'schedule.nextRunAt': null },
+        { $set: { 'schedule.nextRunAt': configuration.computeNextRunAt() } }
+      );
+    }
+  }
+
+  async runDueConfigurations() {
+    const now = new Date();
+    const due = await TestConfiguration.find({
+      'schedule.enabled': true,
+      'schedule.nextRunAt': { $lte: now }
+    });
+
+    for (const configuration of due) {
+      try {
+        await this.fire(configuration, now);
+      } catch (error) {
+        logger.error(`Scheduled run failed to start for configuration ${configuration._id}:`, error);
+      }
+    }
+  }
+
+  async fire(configuration, now) {
+    // Missed runs are not replayed: the next run is computed from now
+    const nextRunAt = configuration.computeNextRunAt(now);
+
+    // Only the instance that moves nextRunAt forward gets to start the run
+    const claimed = await TestConfiguration.updateOne(
+      { _id: configuration._id, 'schedule.nextRunAt': configuration.schedule.nextRunAt },
+      { $set: { 'schedule.nextRunAt': nextRunAt, 'schedule.lastRunAt': now } }
+    );
+    if (claimed.modifiedCount === 0) return;
+
+    const job = await JobQueueService.enqueue(configuration, { trigger: 'schedule' });
+    logger.info(`Scheduled run queued for configuration ${configuration._id} (execution ${job.executionId}), next at ${nextRunAt.toISOString()}`);
+  }
+}
+
+export default new SchedulerService();
@@ -0,0 +1,184 @@
+// Lengths search engines display without truncating, in characters
+const TITLE_LENGTH = { min: 10, max: 60 };
+const DESCRIPTION_LENGTH = { min: 50, max: 160 };
+
+// ISO 639 language, optional ISO 15924 script and ISO 3166 region, or x-default
+const HREFLANG_PATTERN = /^([a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?|x-default)$/i;
+
+class SeoService {
+  // Compare URLs the way search engines consolidate them: no fragment, no
+  // trailing slash, case-insensitive host
+  sameUrl(a, b) {
+    try {
+      const normalize = (url) => {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return `${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+      };
+      return normalize(a) === normalize(b);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  robotsDirectives(value) {
+    return (value || '').toLowerCase().split(/\s*,\s*/)
+      // X-Robots-Tag may name a user agent: "googlebot: noindex"
+      .map(directive => directive.replace(/^[\w-]+:\s*(?=\w)/, '').trim())
+      .filter(Boolean);
+  }
+
+  async readPage(page) {
+    return page.evaluate(() => {
+      const visible = (element) => {
+        const rect = element.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0 && getComputedStyle(element).visibility !== 'hidden';
+      };
+      const meta = (name) => document.querySelector(`meta[name="${name}" i]`)?.getAttribute('content') ?? null;
+
+      return {
+        title: document.querySelector('head title')?.textContent.trim() ?? null,
+        description: meta('description')?.trim() ?? null,
+        canonicals: [...document.querySelectorAll('link[rel="canonical" i]')].map(link => link.getAttribute('href')),
+        robots: [meta('robots'), meta('googlebot')].filter(Boolean).join(', ') || null,
+        hreflang: [...document.querySelectorAll('link[rel="alternate" i][hreflang]')]
+          .map(link => ({ lang: link.getAttribute('hreflang'), href: link.getAttribute('href') })),
+        h1s: [...document.querySelectorAll('h1')].filter(visible).map(h1 => h1.textContent.replace(/\s+/g, ' ').trim().substring(0, 120)),
+        ogImage: document.querySelector('meta[property="og:image:secure_url"], meta[property="og:image"]')?.getAttribute('content') ?? null
+      };
+    });
+  }
+
+  // Whether the Open Graph image can be fetched and is an image. HEAD first;
+  // some CDNs only answer GET.
+  async checkImage(page, url) {
+    for (const method of ['head', 'get']) {
+      try {
+        const response = await page.request[method](url, { timeout: 10000, maxRedirects: 5 });
+        if (method === 'head' && (response.status() === 405 || response.status() === 403)) continue;
+        const contentType = response.headers()['content-type'] || '';
+        return {
+          status: response.status(),
+          contentType,
+          ok: response.ok() && contentType.startsWith('image/')
+        };
+      } catch (error) {
+        if (method === 'get') return { status: null, contentType: null, ok: false, error: error.message };
+      }
+    }
+    return { status: null, contentType: null, ok: false };
+  }
+
+  // SEO essentials of a loaded product page. `response` is the navigation
+  // response, for the X-Robots-Tag header.
+  async check(page, url, response) {
+    const data = await this.readPage(page);
+    const pageUrl = page.url();
+    const findings = [];
+    const finding = (check, severity, message, value) => findings.push({ check, severity, message, ...(value != null && { value: String(value) }) });
+
+    if (!data.title) {
+      finding('title', 'error', 'Page has no <title>');
+    } else if (data.title.length < TITLE_LENGTH.min || data.title.length > TITLE_LENGTH.max) {
+      finding('title', 'warning', `Title is ${data.title.length} characters; keep it between ${TITLE_LENGTH.min} and ${TITLE_LENGTH.max}`, data.title);
+    }
+
+    if (!data.description) {
+      finding('description', 'error', 'Page has no meta description');
+    } else if (data.description.length < DESCRIPTION_LENGTH.min || data.description.length > DESCRIPTION_LENGTH.max) {
+      finding('description', 'warning', `Meta description is ${data.description.length} characters; keep it between ${DESCRIPTION_LENGTH.min} and ${DESCRIPTION_LENGTH.max}`, data.description);
+    }
+
+    let canonical = null;
+    if (data.canonicals.length === 0) {
+      finding('canonical', 'error', 'Page has no canonical link');
+    } else {
+      if (data.canonicals.length > 1) {
+        finding('canonical', 'error', `Page has ${data.canonicals.length} canonical links`, data.canonicals.join(' '));
+      }
+      try {
+        canonical = new URL(data.canonicals[0], pageUrl).href;
+        if (!/^https?:\/\//i.test(data.canonicals[0])) {
+          finding('canonical', 'warning', 'Canonical URL is relative', data.canonicals[0]);
+        }
+        // Variant or collection URLs pointing at the main product URL are expected
+        if (!this.sameUrl(canonical, pageUrl) && !this.sameUrl(canonical, url) && new URL(canonical).host !== new URL(pageUrl).host) {
+          finding('canonical', 'warning', 'Canonical URL is on another host', canonical);
+        }
+      } catch (e) {
+        finding('canonical', 'error', 'Canonical URL is not a valid URL', data.canonicals[0]);
+      }
+    }
+
+    const headerRobots = response?.headers()['x-robots-tag'] || null;
+    const directives = [...this.robotsDirectives(data.robots), ...this.robotsDirectives(headerRobots)];
+    const noindex = directives.includes('noindex') || directives.includes('none');
+    const nofollow = directives.includes('nofollow') || directives.includes('none');
+    if (noindex) {
+      finding('robots', 'error', `Product page is noindex (${headerRobots ? 'X-Robots-Tag' : 'robots meta'})`, headerRobots || data.robots);
+    } else if (nofollow) {
+      finding('robots', 'warning', 'Product page is nofollow', headerRobots || data.robots);
+    }
+
+    const hreflang = data.hreflang.map(({ lang, href }) => {
+      let absolute = null;
+      try {
+        absolute = new URL(href, pageUrl).href;
+      } catch (e) {
+        finding('hreflang', 'error', `hreflang ${lang} has an invalid URL`, href);
+      }
+      if (!HREFLANG_PATTERN.test(lang || '')) {
+        finding('hreflang', 'error', `"${lang}" is not a valid hreflang code`, lang);
+      }
+      return { lang, href: absolute || href };
+    });
+    if (hreflang.length > 0) {
+      const seen = new Set();
+      for (const { lang } of hreflang) {
+        if (seen.has(lang?.toLowerCase())) finding('hreflang', 'error', `hreflang ${lang} is listed more than once`, lang);
+        seen.add(lang?.toLowerCase());
+      }
+      if (!hreflang.some(({ href }) => this.sameUrl(href, pageUrl) || (canonical && this.sameUrl(href, canonical)))) {
+        finding('hreflang', 'warning', 'hreflang alternates do not include this page');
+      }
+    }
+
+    if (data.h1s.length === 0) {
+      finding('h1', 'error', 'Page has no visible H1');
+    } else if (data.h1s.length > 1) {
+      finding('h1', 'error', `Page has ${data.h1s.length} visible H1 headings`, data.h1s.join(' | '));
+    }
+
+    let ogImage = null;
+    if (!data.ogImage) {
+      finding('ogImage', 'warning', 'Page has no og:image');
+    } else {
+      let imageUrl = null;
+      try {
+        imageUrl = new URL(data.ogImage, pageUrl).href;
+      } catch (e) {
+        finding('ogImage', 'error', 'og:image is not a valid URL', data.ogImage);
+      }
+      if (imageUrl) {
+        ogImage = { url: imageUrl, ...(await this.checkImage(page, imageUrl)) };
+        if (!ogImage.ok) {
+          finding('ogImage', 'error', `og:image is not reachable (${ogImage.status ?? ogImage.error ?? 'no response'}${ogImage.contentType ? `, ${ogImage.contentType}` : ''})`, imageUrl);
+        }
+      }
+    }
+
+    return {
+      passed: !findings.some(item => item.severity === 'error'),
+      title: data.title ? { text: data.title, length: data.title.length } : null,
+      description: data.description ? { text: data.description, length: data.description.length } : null,
+      canonical,
+      robots: { meta: data.robots, header: headerRobots, noindex, nofollow },
+      hreflang,
+      h1Count: data.h1s.length,
+      ogImage,
+      findings
+    };
+  }
+}
+
+export default new SeoService();
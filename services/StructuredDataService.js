@@ -0,0 +1,198 @@
+import PriceService from './PriceService.js';
+
+// Fields each source needs for a product to be eligible for rich results and
+// Shopping listings. Open Graph and Twitter gaps are reported as warnings.
+const REQUIRED_FIELDS = {
+  jsonLd: ['name', 'image', 'price', 'currency', 'availability'],
+  microdata: ['name', 'price', 'currency', 'availability'],
+  openGraph: ['title', 'image', 'price', 'currency'],
+  twitter: ['card', 'title', 'image']
+};
+
+class StructuredDataService {
+  // Product data from JSON-LD, microdata and Open Graph/Twitter meta tags,
+  // flattened to the same shape per source. null for absent sources.
+  async extract(page) {
+    return page.evaluate(() => {
+      const clean = (value) => (typeof value === 'string' ? value.trim() : value) ?? null;
+      const types = (node) => [].concat(node?.['@type'] || []).map(type => String(type).replace(/^.*[/#]/, ''));
+      const availabilityName = (value) => (value ? String(value).replace(/^.*[/#]/, '') : null);
+      const parseErrors = [];
+
+      // JSON-LD: Product nodes anywhere, including @graph and nested arrays
+      const products = [];
+      const collect = (node) => {
+        if (Array.isArray(node)) return node.forEach(collect);
+        if (!node || typeof node !== 'object') return;
+        if (types(node).some(type => type === 'Product' || type === 'ProductGroup')) products.push(node);
+        if (node['@graph']) collect(node['@graph']);
+        if (node.hasVariant) collect(node.hasVariant);
+      };
+      for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+        try {
+          collect(JSON.parse(script.textContent));
+        } catch (error) {
+          parseErrors.push(`Invalid JSON-LD: ${error.message}`);
+        }
+      }
+
+      let jsonLd = null;
+      if (products.length > 0) {
+        const product = products[0];
+        const offers = products.flatMap(node => [].concat(node.offers || []))
+          .flatMap(offer => (types(offer).includes('AggregateOffer') && offer.offers ? [].concat(offer.offers) : [offer]));
+        const aggregate = offers.find(offer => types(offer).includes('AggregateOffer'));
+        const image = [].concat(product.image || [])[0];
+        jsonLd = {
+          name: clean(product.name),
+          sku: clean(product.sku),
+          brand: clean(product.brand?.name || product.brand),
+          image: clean(image?.url || image),
+          price: clean(offers[0]?.price ?? offers[0]?.priceSpecification?.price ?? aggregate?.lowPrice),
+          prices: offers.map(offer => offer.price ?? offer.priceSpecification?.price).filter(price => price != null),
+          lowPrice: clean(aggregate?.lowPrice),
+          highPrice: clean(aggregate?.highPrice),
+          currency: clean(offers[0]?.priceCurrency ?? offers[0]?.priceSpecification?.priceCurrency),
+          availability: availabilityName(offers[0]?.availability),
+          offerCount: offers.length
+        };
+      }
+
+      // Microdata: the first Product scope and the offer inside it
+      let microdata = null;
+      const scope = document.querySelector('[itemscope][itemtype*="schema.org/Product" i]');
+      if (scope) {
+        const prop = (name) => {
+          const element = scope.querySelector(`[itemprop="${name}"]`);
+          if (!element) return null;
+          return clean(element.getAttribute('content') || element.getAttribute('href')
+            || element.getAttribute('src') || element.textContent);
+        };
+        microdata = {
+          name: prop('name'),
+          sku: prop('sku'),
+          image: prop('image'),
+          price: prop('price') || prop('lowPrice'),
+          currency: prop('priceCurrency'),
+          availability: availabilityName(prop('availability'))
+        };
+      }
+
+      const meta = (...names) => {
+        for (const name of names) {
+          const element = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+          if (element?.content) return element.content.trim();
+        }
+        return null;
+      };
+      const openGraph = document.querySelector('meta[property^="og:"], meta[property^="product:"]') ? {
+        type: meta('og:type'),
+        title: meta('og:title'),
+        image: meta('og:image:secure_url', 'og:image'),
+        price: meta('product:price:amount', 'og:price:amount'),
+        currency: meta('product:price:currency', 'og:price:currency'),
+        availability: meta('product:availability', 'og:availability')
+      } : null;
+      const twitter = document.querySelector('meta[name^="twitter:"], meta[property^="twitter:"]') ? {
+        card: meta('twitter:card'),
+        title: meta('twitter:title'),
+        image: meta('twitter:image'),
+        price: meta('twitter:data1')
+      } : null;
+
+      return { jsonLd, microdata, openGraph, twitter, parseErrors };
+    });
+  }
+
+  inStock(availability) {
+    if (!availability) return null;
+    if (/^(InStock|LimitedAvailability|OnlineOnly|InStoreOnly|PreSale|PreOrder|BackOrder|in stock|instock)$/i.test(availability)) return true;
+    if (/^(OutOfStock|SoldOut|Discontinued|out of stock|oos)$/i.test(availability)) return false;
+    return null;
+  }
+
+  // Extract, check required fields and compare with the price and stock
+  // found on screen. `onScreen` is { priceText, price, inStock } from the page
+  // check, `price` being the displayed price as PriceService parsed it.
+  async check(page, onScreen = {}) {
+    const extracted = await this.extract(page);
+    const result = {
+      sources: {
+        jsonLd: Boolean(extracted.jsonLd),
+        microdata: Boolean(extracted.microdata),
+        openGraph: Boolean(extracted.openGraph),
+        twitter: Boolean(extracted.twitter)
+      },
+      jsonLd: extracted.jsonLd,
+      microdata: extracted.microdata,
+      openGraph: extracted.openGraph,
+      twitter: extracted.twitter,
+      missingFields: [],
+      mismatches: [],
+      errors: [...extracted.parseErrors],
+      warnings: []
+    };
+
+    if (!extracted.jsonLd && !extracted.microdata) {
+      result.errors.push('No Product structured data (JSON-LD or microdata) found');
+    }
+
+    for (const [source, fields] of Object.entries(REQUIRED_FIELDS)) {
+      const data = extracted[source];
+      if (!data) continue;
+      for (const field of fields) {
+        if (data[field] == null || data[field] === '') {
+          result.missingFields.push({ source, field });
+          const message = `${source} is missing ${field}`;
+          if (source === 'jsonLd' || source === 'microdata') {
+            result.errors.push(message);
+          } else {
+            result.warnings.push(message);
+          }
+        }
+      }
+    }
+
+    this.crossCheck(result, extracted, onScreen);
+    result.passed = result.errors.length === 0 && result.mismatches.length === 0;
+    return result;
+  }
+
+  crossCheck(result, extracted, { priceText, price: shown, inStock }) {
+    const shownCurrencies = PriceService.shownCurrencies(shown);
+    const mismatch = (source, field, expected, actual, message) => {
+      result.mismatches.push({ source, field, expected: String(expected), actual: String(actual), message });
+    };
+
+    for (const source of ['jsonLd', 'microdata', 'openGraph']) {
+      const data = extracted[source];
+      if (!data) continue;
+
+      if (shown?.amount != null && data.price != null) {
+        const prices = (data.prices?.length ? data.prices : [data.price])
+          .map(price => PriceService.schemaAmount(price))
+          .filter(price => price !== null);
+        const range = { low: PriceService.schemaAmount(data.lowPrice), high: PriceService.schemaAmount(data.highPrice) };
+        if (prices.length > 0 && !PriceService.agreesWith(shown, prices, range)) {
+          const onCompareAt = PriceService.agreesWith({ amount: shown.compareAtAmount }, prices);
+          mismatch(source, 'price', prices.join(', '), PriceService.describe(shown), onCompareAt
+            ? `${source} price ${prices.join(', ')} is the compare-at price, not the sale price shown in ${priceText}`
+            : `${source} price ${prices.join(', ')} does not match the displayed ${priceText}`);
+        }
+      }
+
+      if (shownCurrencies && data.currency && !shownCurrencies.includes(data.currency.toUpperCase())) {
+        mismatch(source, 'currency', data.currency, shownCurrencies.join('/'),
+          `${source} currency ${data.currency} does not match the displayed ${priceText}`);
+      }
+
+      const schemaInStock = this.inStock(data.availability);
+      if (inStock != null && schemaInStock != null && inStock !== schemaInStock) {
+        mismatch(source, 'availability', data.availability, inStock ? 'in stock' : 'out of stock',
+          `${source} availability ${data.availability} contradicts the page showing ${inStock ? 'in stock' : 'out of stock'}`);
+      }
+    }
+  }
+}
+
+export default new StructuredDataService();
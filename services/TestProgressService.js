@@ -0,0 +1,65 @@
+import { EventEmitter } from 'events';
+
+// Events kept per execution so late subscribers can catch up
+const MAX_HISTORY = 500;
+// How long a finished execution's events stay available for replay
+const HISTORY_TTL = 5 * 60 * 1000;
+// Executions that never report done, e.g. when their worker crashed, are
+// dropped after this long without events
+const IDLE_HISTORY_TTL = 60 * 60 * 1000;
+
+class TestProgressService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.history = new Map();
+    this.expiry = new Map();
+  }
+
+  emit(executionId, type, data = {}) {
+    const event = {
+      type,
+      executionId,
+      timestamp: new Date().toISOString(),
+      ...data
+    };
+
+    if (!this.history.has(executionId)) {
+      this.history.set(executionId, []);
+    }
+    const events = this.history.get(executionId);
+    events.push(event);
+    if (events.length > MAX_HISTORY) {
+      events.shift();
+    }
+
+    this.emitter.emit(executionId, event);
+
+    clearTimeout(this.expiry.get(executionId));
+    const expiry = setTimeout(() => {
+      this.history.delete(executionId);
+      this.expiry.delete(executionId);
+    }, type === 'done' ? HISTORY_TTL : IDLE_HISTORY_TTL);
+    expiry.unref();
+    this.expiry.set(executionId, expiry);
+
+    return event;
+  }
+
+  // Bind an execution so callers can report progress without knowing its id
+  reporter(executionId) {
+    return (type, data) => this.emit(executionId, type, data);
+  }
+
+  // Replays past events, then forwards live ones. Returns an unsubscribe function.
+  subscribe(executionId, listener) {
+    for (const event of this.history.get(executionId) || []) {
+      listener(event);
+    }
+
+    this.emitter.on(executionId, listener);
+    return () => this.emitter.off(executionId, listener);
+  }
+}
+
+export default new TestProgressService();
@@ -0,0 +1,309 @@
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Where variant pickers live: platform product forms and the usual wrappers
+const PICKER_CONTAINERS = [
+  'form[action*="/cart/add"]', 'variant-selects', 'variant-radios', 'product-form',
+  '.variations_form', '.product-options', '.product-variants', '.swatch-opt',
+  '[class*="variant-picker" i]', '[class*="variant-selector" i]', '[class*="product-option" i]',
+  '[class*="swatch" i]', '[data-product-options]'
+];
+
+// Option controls that are not variants
+const IGNORED_OPTION_NAMES = /qty|quantity|shipping|payment|rating|subscription|selling_plan|currency|country|locale/i;
+
+const SWATCH_SELECTORS = [
+  '[class*="swatch" i] button', 'button[class*="swatch" i]', '[class*="swatch" i] [role="radio"]',
+  '[class*="swatch-option" i]', '[data-option-value]', '[class*="variant" i] [role="radio"]',
+  '[class*="option" i] button[aria-pressed]'
+];
+
+// Page state read after each selection
+const STATE_SELECTORS = {
+  price: [
+    '[itemprop="offers"] [itemprop="price"]', '.price__current', '.price-item--sale', '.price-item--regular',
+    '.product__price', '.product-price', '.price .amount', '.woocommerce-Price-amount',
+    '[data-product-price]', '[class*="price" i]:not([class*="compare" i]):not([class*="was" i]):not([class*="original" i])'
+  ],
+  image: [
+    '[class*="product" i] [class*="media" i] img', '[class*="product" i] [class*="gallery" i] img',
+    '[class*="featured" i] img', '.woocommerce-product-gallery img', '.product-image img',
+    '[class*="product" i] img'
+  ],
+  availability: [
+    '[class*="availability" i]', '[class*="stock" i]', '[class*="inventory" i]',
+    '[data-testid*="stock" i]', '[data-testid*="availability" i]'
+  ],
+  addToCart: [
+    'form[action*="/cart/add"] [type="submit"]', 'button[name="add"]', '.single_add_to_cart_button',
+    '#product-addtocart-button', '[class*="add-to-cart" i]', '[class*="addtocart" i]',
+    'button[class*="add" i][class*="cart" i]', '[data-action="add-to-cart"]'
+  ]
+};
+
+const OUT_OF_STOCK = /sold\s*out|out\s*of\s*stock|unavailable|not\s*available|notify\s*me/i;
+const IN_STOCK = /in\s*stock|available|\d+\s*(left|remaining)/i;
+
+class VariantMatrixService {
+  // Every selectable option on the page, grouped by the picker it belongs
+  // to. Each option carries a selector for the control to click (or the
+  // select to set) so it can be found again after the theme re-renders.
+  async discoverOptions(page) {
+    return page.evaluate(({ containers, swatches, ignoredNames }) => {
+      const ignored = new RegExp(ignoredNames, 'i');
+      const isVisible = (element) => {
+        const rect = element.getBoundingClientRect();
+        const style = getComputedStyle(element);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+      };
+      const cssPath = (element) => {
+        const parts = [];
+        for (let node = element; node && node.nodeType === 1 && node !== document.body; node = node.parentElement) {
+          if (node.id) {
+            parts.unshift(`#${CSS.escape(node.id)}`);
+            return parts.join(' > ');
+          }
+          const siblings = [...node.parentElement.children].filter(sibling => sibling.tagName === node.tagName);
+          const tag = node.tagName.toLowerCase();
+          parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+        }
+        return `body > ${parts.join(' > ')}`;
+      };
+      const groupLabel = (element, fallback) => {
+        const fieldset = element.closest('fieldset');
+        const legend = fieldset?.querySelector('legend');
+        const label = element.id && document.querySelector(`label[for="${CSS.escape(element.id)}"]`);
+        return (legend?.textContent || (element.tagName === 'SELECT' && label?.textContent) || fallback || '')
+          .replace(/\s+/g, ' ').trim();
+      };
+
+      const roots = [...new Set(containers.flatMap(selector => [...document.querySelectorAll(selector)]))];
+      const within = (selector) => [...new Set(roots.flatMap(root => [...root.querySelectorAll(selector)]))];
+      const seen = new Set();
+      const options = [];
+
+      for (const select of within('select')) {
+        if (seen.has(select) || !isVisible(select) || ignored.test(`${select.name} ${select.id}`)) continue;
+        seen.add(select);
+        const group = groupLabel(select, select.name || select.id);
+        for (const option of select.options) {
+          // Skip placeholders, and combinations the store itself marks unavailable
+          if (!option.value || option.disabled) continue;
+          options.push({
+            type: 'select',
+            group,
+            option: option.textContent.replace(/\s+/g, ' ').trim(),
+            selector: cssPath(select),
+            value: option.value,
+            initiallySelected: option.selected
+          });
+        }
+      }
+
+      for (const radio of within('input[type="radio"]')) {
+        if (seen.has(radio) || ignored.test(radio.name)) continue;
+        seen.add(radio);
+        // Themes often hide the input and style its label instead
+        const label = radio.id && document.querySelector(`label[for="${CSS.escape(radio.id)}"]`);
+        const target = isVisible(radio) ? radio : label && isVisible(label) ? label : null;
+        if (!target) continue;
+        if (label) seen.add(label);
+        options.push({
+          type: 'radio',
+          group: groupLabel(radio, radio.name),
+          option: (label?.textContent || radio.value).replace(/\s+/g, ' ').trim(),
+          selector: cssPath(target),
+          value: radio.value,
+          initiallySelected: radio.checked
+        });
+      }
+
+      for (const swatch of within(swatches.join(', '))) {
+        if (seen.has(swatch) || !isVisible(swatch) || swatch.closest('label') && seen.has(swatch.closest('label'))) continue;
+        seen.add(swatch);
+        const container = swatch.closest('[class*="swatch" i], [class*="option" i], fieldset') || swatch.parentElement;
+        options.push({
+          type: 'swatch',
+          group: groupLabel(swatch, container.getAttribute('aria-label') || container.getAttribute('data-option-name')),
+          option: (swatch.getAttribute('data-option-value') || swatch.getAttribute('aria-label')
+            || swatch.getAttribute('title') || swatch.textContent).replace(/\s+/g, ' ').trim(),
+          selector: cssPath(swatch),
+          value: swatch.getAttribute('data-option-value') || swatch.getAttribute('data-value') || null,
+          initiallySelected: ['aria-pressed', 'aria-checked', 'aria-selected'].some(name => swatch.getAttribute(name) === 'true')
+            || /\b(active|selected|is-selected|is-active)\b/i.test(swatch.className)
+        });
+      }
+
+      return options;
+    }, { containers: PICKER_CONTAINERS, swatches: SWATCH_SELECTORS, ignoredNames: IGNORED_OPTION_NAMES.source });
+  }
+
+  // Price, main image, availability and add-to-cart state as shown right now
+  async readState(page) {
+    const state = await page.evaluate((selectors) => {
+      const isVisible = (element) => {
+        const rect = element.getBoundingClientRect();
+        const style = getComputedStyle(element);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+      };
+      const text = (element) => (element?.innerText || element?.value || '').replace(/\s+/g, ' ').trim();
+      const firstVisible = (list, accept = () => true) => {
+        for (const selector of list) {
+          for (const element of document.querySelectorAll(selector)) {
+            if (isVisible(element) && accept(element)) return element;
+          }
+        }
+        return null;
+      };
+
+      const price = firstVisible(selectors.price, element => /\d/.test(text(element)));
+
+      // The main image is the largest visible product image
+      let image = null;
+      let largest = 0;
+      for (const selector of selectors.image) {
+        for (const img of document.querySelectorAll(selector)) {
+          const rect = img.getBoundingClientRect();
+          if (isVisible(img) && rect.width * rect.height > largest) {
+            largest = rect.width * rect.height;
+            image = img;
+          }
+        }
+        if (image) break;
+      }
+
+      const availability = firstVisible(selectors.availability, element => text(element).length > 0 && text(element).length < 120);
+      const button = firstVisible(selectors.addToCart);
+      const variantId = new URL(location.href).searchParams.get('variant')
+        || document.querySelector('form[action*="/cart/add"] [name="id"]')?.value
+        || document.querySelector('.variations_form [name="variation_id"]')?.value
+        || null;
+
+      return {
+        price: price ? text(price) : null,
+        image: image ? image.currentSrc || image.src : null,
+        availability: availability ? text(availability) : null,
+        addToCartPresent: Boolean(button),
+        addToCartEnabled: button
+          ? !button.disabled && button.getAttribute('aria-disabled') !== 'true' && !/disabled/i.test(button.className)
+          : null,
+        addToCartText: button ? text(button) : null,
+        variantId
+      };
+    }, STATE_SELECTORS);
+
+    // Sold-out themes usually say so on the button rather than in a stock line
+    const stockText = `${state.availability || ''} ${state.addToCartText || ''}`;
+    state.inStock = OUT_OF_STOCK.test(stockText) ? false : IN_STOCK.test(stockText) ? true : null;
+    return state;
+  }
+
+  async selectOption(page, option, timeout) {
+    const control = page.locator(option.selector).first();
+    if (option.type === 'select') {
+      await control.selectOption(option.value, { timeout });
+    } else {
+      await control.click({ timeout });
+    }
+    // Themes update price, image and button after a fetch or a re-render
+    await page.waitForTimeout(300);
+    await page.waitForLoadState('networkidle', { timeout: 3000 }).catch(() => {});
+  }
+
+  // What a shopper could not reconcile after picking this option, on its own
+  // and against `previous`, the state the option before it left behind.
+  // `alreadySelected` options are expected to change nothing.
+  findInconsistencies(state, previous = null, changed = null, { alreadySelected = false } = {}) {
+    const issues = [];
+    if (!state.price) {
+      issues.push('No price shown');
+    }
+    if (!state.addToCartPresent) {
+      issues.push('Add to cart button disappeared');
+    } else if (state.price && state.inStock !== false && !state.addToCartEnabled) {
+      issues.push('Shows a price but add to cart is disabled without an out-of-stock message');
+    } else if (state.inStock === false && state.addToCartEnabled) {
+      issues.push('Marked out of stock but add to cart is still enabled');
+    }
+    if (!previous || !changed) return issues;
+
+    if (changed.variant && state.variantId && previous.variantId && !changed.price && !changed.image) {
+      issues.push(`Variant changed from ${previous.variantId} to ${state.variantId} but price and image did not update`);
+    }
+    if (!alreadySelected && !Object.values(changed).some(Boolean)) {
+      issues.push('Selecting the option changed nothing on the page');
+    }
+    // A different stock count alone needs no button change; going in or out
+    // of stock does
+    if (changed.availability && state.inStock !== null && previous.inStock !== null
+      && state.inStock !== previous.inStock && !changed.addToCart) {
+      issues.push(`Availability changed to "${state.availability}" but add to cart did not update`);
+    }
+    return issues;
+  }
+
+  // Select every option in turn, leaving the other pickers as they are, and
+  // record how the page reacted. `changed` compares against the state the
+  // previous option left behind. onInconsistent runs while the page still
+  // shows the problem, e.g. to take a screenshot.
+  async testVariants(page, { maxOptions = 20, timeout = 5000, onInconsistent } = {}) {
+    const options = await this.discoverOptions(page);
+    const results = [];
+    if (options.length === 0) return results;
+
+    if (options.length > maxOptions) {
+      logger.info(`Testing ${maxOptions} of ${options.length} variant options on ${page.url()}`);
+    }
+
+    let previous = await this.readState(page);
+    for (const option of options.slice(0, maxOptions)) {
+      const startedAt = Date.now();
+      const result = {
+        group: option.group,
+        option: option.option,
+        type: option.type,
+        selected: false,
+        issues: []
+      };
+
+      try {
+        await this.selectOption(page, option, timeout);
+        result.selected = true;
+      } catch (error) {
+        result.issues.push(`Could not select option: ${error.message.split('\n')[0]}`);
+      }
+
+      const state = await this.readState(page).catch(() => null);
+      if (state) {
+        const changed = {
+          price: state.price !== previous.price,
+          image: state.image !== previous.image,
+          availability: state.availability !== previous.availability,
+          addToCart: state.addToCartEnabled !== previous.addToCartEnabled,
+          variant: state.variantId !== previous.variantId
+        };
+        Object.assign(result, state, { changed, alreadySelected: option.initiallySelected });
+        if (result.selected) {
+          result.issues.push(...this.findInconsistencies(state, previous, changed, { alreadySelected: option.initiallySelected }));
+        }
+        previous = state;
+      }
+
+      if (result.issues.length > 0 && onInconsistent) {
+        await onInconsistent(result);
+      }
+
+      result.duration = Date.now() - startedAt;
+      results.push(result);
+    }
+
+    return results;
+  }
+}
+
+export default new VariantMatrixService();
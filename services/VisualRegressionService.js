@@ -0,0 +1,153 @@
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import VisualBaseline from '../models/VisualBaseline.js';
+import TestResult from '../models/TestResult.js';
+import ArtifactStorageService from './ArtifactStorageService.js';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+class VisualRegressionService {
+  baselineKey(url, { browser = 'chromium', device = 'desktop' } = {}) {
+    return `${url}|${browser}|${device}`;
+  }
+
+  // All baselines of a configuration, keyed by page, browser and device
+  async loadBaselines(configurationId) {
+    const baselines = await VisualBaseline.find({ configurationId });
+    return new Map(baselines.map(baseline => [this.baselineKey(baseline.url, baseline), baseline]));
+  }
+
+  // Copy an image onto a canvas of the given size. Uncovered area stays
+  // transparent, so a change in page height counts as mismatched pixels.
+  padImage(image, width, height) {
+    if (image.width === width && image.height === height) return image;
+
+    const padded = new PNG({ width, height });
+    PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+    return padded;
+  }
+
+  maskRects(image, rects) {
+    for (const rect of rects) {
+      const x0 = Math.max(0, Math.floor(rect.x));
+      const y0 = Math.max(0, Math.floor(rect.y));
+      const x1 = Math.min(image.width, Math.ceil(rect.x + rect.width));
+      const y1 = Math.min(image.height, Math.ceil(rect.y + rect.height));
+
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const idx = (y * image.width + x) * 4;
+          image.data[idx] = 0;
+          image.data[idx + 1] = 0;
+          image.data[idx + 2] = 0;
+          image.data[idx + 3] = 255;
+        }
+      }
+    }
+  }
+
+  // Pixel-diff two PNG buffers. Ignore rectangles are masked identically in
+  // both images before comparing.
+  compare(baselineBuffer, currentBuffer, { threshold = 0.1, ignoreRects = [] } = {}) {
+    const baselineImage = PNG.sync.read(baselineBuffer);
+    const currentImage = PNG.sync.read(currentBuffer);
+
+    const width = Math.max(baselineImage.width, currentImage.width);
+    const height = Math.max(baselineImage.height, currentImage.height);
+    const baseline = this.padImage(baselineImage, width, height);
+    const current = this.padImage(currentImage, width, height);
+
+    this.maskRects(baseline, ignoreRects);
+    this.maskRects(current, ignoreRects);
+
+    const diff = new PNG({ width, height });
+    const mismatchedPixels = pixelmatch(baseline.data, current.data, diff.data, width, height, { threshold });
+    const mismatchPercent = Math.round((mismatchedPixels / (width * height)) * 10000) / 100;
+
+    return {
+      mismatchedPixels,
+      mismatchPercent,
+      sizeChanged: baselineImage.width !== currentImage.width || baselineImage.height !== currentImage.height,
+      diffBuffer: PNG.sync.write(diff)
+    };
+  }
+
+  async compareToBaseline(currentBuffer, baseline, settings, ignoreRects = []) {
+    const baselineBuffer = await ArtifactStorageService.read(baseline.storageKey);
+    const comparison = this.compare(baselineBuffer, currentBuffer, {
+      threshold: settings.threshold,
+      ignoreRects: [...(baseline.ignoreRects || []), ...ignoreRects]
+    });
+
+    return {
+      ...comparison,
+      passed: comparison.mismatchPercent <= settings.maxMismatchPercent
+    };
+  }
+
+  // Approve an execution's full-page screenshots as the new baselines. When
+  // the same page was captured on several attempts, the last one wins.
+  async approveExecution(executionId, { screenshotIds } = {}) {
+    const result = await TestResult.findOne({ executionId }, 'configurationId screenshots');
+    if (!result) return null;
+
+    const latest = new Map();
+    for (const screenshot of result.screenshots) {
+      if (screenshot.kind !== 'page') continue;
+      if (screenshotIds && !screenshotIds.includes(screenshot._id.toString())) continue;
+      latest.set(this.baselineKey(screenshot.url, screenshot), screenshot);
+    }
+
+    const approved = [];
+    for (const screenshot of latest.values()) {
+      const storageKey = `baselines/${result.configurationId}/${screenshot._id}.png`;
+      await ArtifactStorageService.save(storageKey, await ArtifactStorageService.read(screenshot.storageKey), 'image/png');
+
+      const filter = {
+        configurationId: result.configurationId,
+        url: screenshot.url,
+        browser: screenshot.browser || 'chromium',
+        device: screenshot.device || 'desktop'
+      };
+      const previous = await VisualBaseline.findOneAndUpdate(
+        filter,
+        {
+          $set: {
+            storageKey,
+            ignoreRects: screenshot.ignoreRects || [],
+            sourceExecutionId: executionId,
+            sourceScreenshotId: screenshot._id.toString(),
+            approvedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+
+      if (previous && previous.storageKey !== storageKey) {
+        await ArtifactStorageService.remove(previous.storageKey);
+      }
+
+      approved.push(await VisualBaseline.findOne(filter));
+    }
+
+    logger.info(`Approved ${approved.length} baselines from execution ${executionId}`);
+    return approved;
+  }
+
+  async deleteBaseline(baseline) {
+    await ArtifactStorageService.remove(baseline.storageKey);
+    await VisualBaseline.deleteOne({ _id: baseline._id });
+  }
+
+  async deleteConfigurationBaselines(configurationId) {
+    await ArtifactStorageService.remove(`baselines/${configurationId}`);
+    await VisualBaseline.deleteMany({ configurationId });
+  }
+}
+
+export default new VisualRegressionService();
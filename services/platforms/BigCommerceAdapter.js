@@ -0,0 +1,64 @@
+// BigCommerce Stencil themes (Cornerstone and its descendants). Product
+// pages embed the product's price and stock as BCData for the theme scripts.
+export default class BigCommerceAdapter {
+  constructor() {
+    this.name = 'bigcommerce';
+
+    this.selectors = {
+      title: {
+        selectors: ['.productView-title', '[data-test-info-type="productName"]', '.productView-product h1']
+      },
+      price: {
+        selectors: [
+          '.productView-price [data-product-price-with-tax]', '.productView-price [data-product-price-without-tax]',
+          '[data-product-price-without-tax]', '.productView-price .price--main'
+        ]
+      },
+      addToCart: {
+        selectors: ['#form-action-addToCart', '[data-button-type="add-cart"]', 'form[data-cart-item-add] [type="submit"]']
+      },
+      description: {
+        selectors: ['.productView-description', '#tab-description', '[data-product-description]']
+      },
+      variants: {
+        selectors: ['[data-product-attribute] .form-option', '[data-product-attribute] select', '.productView-options .form-option']
+      },
+      availability: {
+        selectors: ['[data-product-stock]', '.productView-info-value[data-product-stock]', '.productView-info [data-stock-label]']
+      }
+    };
+
+    this.cart = {
+      cartPath: '/cart.php',
+      addRequest: /\/api\/storefront\/carts(\/[^/]+\/items)?(\?|$)|\/remote\/v1\/cart\/add/i,
+      clear: async (page) => page.evaluate(async () => {
+        const response = await fetch('/api/storefront/carts', { credentials: 'include' });
+        const carts = response.ok ? await response.json() : [];
+        for (const cart of carts) {
+          await fetch(`/api/storefront/carts/${cart.id}`, { method: 'DELETE', credentials: 'include' });
+        }
+        return true;
+      })
+    };
+  }
+
+  // BCData.product_attributes as rendered server side. Variant-level data
+  // needs a Storefront API token, so only the default selection is known.
+  async fetchProduct(page) {
+    const data = await page.evaluate(() => {
+      const attributes = window.BCData?.product_attributes;
+      if (!attributes) return null;
+      const price = attributes.price?.with_tax || attributes.price?.without_tax;
+      return {
+        title: document.querySelector('meta[property="og:title"]')?.content || null,
+        price: price?.value ?? null,
+        currency: price?.currency || null,
+        available: attributes.instock !== false && attributes.purchasable !== false,
+        sku: attributes.sku || null
+      };
+    });
+    if (!data) return null;
+
+    return { source: 'BCData.product_attributes', ...data, compareAtPrice: null, variants: [] };
+  }
+}
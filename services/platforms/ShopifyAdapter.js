@@ -0,0 +1,86 @@
+// Shopify themes (Dawn and the older Debut/Brooklyn families) and the
+// storefront's public product and cart JSON endpoints
+export default class ShopifyAdapter {
+  constructor() {
+    this.name = 'shopify';
+    this.productPathPattern = /\/products\/[^/]+\/?$/i;
+    this.collectionPathPattern = /\/collections(\/[^/]+)?\/?$/i;
+
+    this.selectors = {
+      title: {
+        selectors: ['.product__title h1', '.product__title', '.product-single__title', '.product-meta__title', '[data-product-title]']
+      },
+      price: {
+        selectors: [
+          '.price__sale .price-item--sale', '.price__regular .price-item--regular', '.product__price',
+          '.product-single__price', '[data-product-price]', '[data-price-wrapper] [data-product-price]'
+        ]
+      },
+      addToCart: {
+        selectors: ['form[action*="/cart/add"] button[name="add"]', 'form[action*="/cart/add"] [type="submit"]', '[data-add-to-cart]']
+      },
+      description: {
+        selectors: ['.product__description', '.product-single__description', '[data-product-description]', '.rte[itemprop="description"]']
+      },
+      variants: {
+        selectors: ['variant-radios label', 'variant-selects select', '.product-form__input label', '.single-option-selector', '.swatch-element label']
+      },
+      availability: {
+        selectors: ['.product__inventory', '[data-inventory]', '.product-form__inventory', '[data-stock-status]']
+      }
+    };
+
+    this.cart = {
+      cartPath: '/cart',
+      addRequest: /\/cart\/add(\.js)?(\?|$)/i,
+      clear: async (page) => page.evaluate(async () => {
+        const response = await fetch('/cart/clear.js', { method: 'POST', headers: { Accept: 'application/json' } });
+        return response.ok;
+      })
+    };
+  }
+
+  // /products/<handle> may sit under a collection path or a market prefix
+  productHandle(url) {
+    const match = new URL(url).pathname.match(/\/products\/([^/?#.]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  // /products/<handle>.js answers with prices in minor units and the
+  // variants as the storefront sells them. Fetched from the page so the
+  // shopper's market and currency apply.
+  async fetchProduct(page, url) {
+    const handle = this.productHandle(url);
+    if (!handle) return null;
+
+    const data = await page.evaluate(async (productPath) => {
+      const response = await fetch(productPath, { headers: { Accept: 'application/json' } });
+      if (!response.ok) return { status: response.status };
+      return {
+        status: response.status,
+        product: await response.json(),
+        currency: window.Shopify?.currency?.active || null
+      };
+    }, `/products/${encodeURIComponent(handle)}.js`);
+
+    if (!data.product) {
+      throw new Error(`/products/${handle}.js responded ${data.status}`);
+    }
+
+    const { product, currency } = data;
+    return {
+      source: `/products/${handle}.js`,
+      title: product.title,
+      price: product.price / 100,
+      compareAtPrice: product.compare_at_price ? product.compare_at_price / 100 : null,
+      currency,
+      available: product.available,
+      variants: (product.variants || []).map(variant => ({
+        id: String(variant.id),
+        title: variant.title,
+        price: variant.price / 100,
+        available: variant.available
+      }))
+    };
+  }
+}
@@ -0,0 +1,46 @@
+import fs from 'fs';
+import { mkdir, readFile, rm, stat, writeFile } from 'fs/promises';
+import { dirname, resolve, sep } from 'path';
+
+// Stores artifacts as plain files under a root directory, one file per key
+export default class LocalDiskStorage {
+  constructor({ root = 'storage/artifacts' } = {}) {
+    this.root = resolve(root);
+  }
+
+  // Keys are slash-separated; refuse anything that would escape the root
+  resolveKey(key) {
+    const path = resolve(this.root, key);
+    if (!path.startsWith(this.root + sep)) {
+      throw new Error(`Invalid artifact key: ${key}`);
+    }
+    return path;
+  }
+
+  async save(key, data) {
+    const path = this.resolveKey(key);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, data);
+  }
+
+  async read(key) {
+    return readFile(this.resolveKey(key));
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolveKey(key));
+  }
+
+  async exists(key) {
+    try {
+      await stat(this.resolveKey(key));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async removePrefix(prefix) {
+    await rm(this.resolveKey(prefix), { recursive: true, force: true });
+  }
+}
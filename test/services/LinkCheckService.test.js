@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import LinkCheckService from '../../services/LinkCheckService.js';
+import ProductDiscoveryService from '../../services/ProductDiscoveryService.js';
+
+// path -> [status, location]
+const ROUTES = {
+  '/ok': [200],
+  '/missing': [404],
+  '/head-refused': [405],
+  '/loop-a': [301, '/loop-b'],
+  '/loop-b': [302, '/loop-a'],
+  '/hop-1': [301, '/hop-2'],
+  '/hop-2': [301, '/hop-3'],
+  '/hop-3': [301, '/ok'],
+  '/products/gone': [404],
+  '/products/retired': [301, '/collections/all'],
+  '/collections/all': [200]
+};
+
+let server;
+let base;
+const settings = { timeout: 2000, maxRedirects: 5 };
+const rules = ProductDiscoveryService.buildRules({ platform: 'other' }, {});
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const [status, location] = ROUTES[req.url] || [404];
+    // Answer GET where HEAD is refused
+    if (req.url === '/head-refused' && req.method === 'GET') {
+      res.writeHead(200);
+      return res.end('ok');
+    }
+    res.writeHead(status, location ? { Location: location } : {});
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('passes a link that answers 200', async () => {
+  const result = await LinkCheckService.checkLink(`${base}/ok`, settings, rules);
+  assert.equal(result.status, 200);
+  assert.equal(result.issue, null);
+});
+
+test('reports broken links', async () => {
+  const result = await LinkCheckService.checkLink(`${base}/missing`, settings, rules);
+  assert.equal(result.issue, 'broken');
+});
+
+test('falls back to GET when HEAD is refused', async () => {
+  const result = await LinkCheckService.checkLink(`${base}/head-refused`, settings, rules);
+  assert.equal(result.status, 200);
+  assert.equal(result.issue, null);
+});
+
+test('stops at a redirect loop', async () => {
+  const result = await LinkCheckService.checkLink(`${base}/loop-a`, settings, rules);
+  assert.equal(result.issue, 'redirect-loop');
+  assert.equal(result.redirects.length, 2);
+});
+
+test('reports redirect chains, and chains longer than allowed', async () => {
+  const chain = await LinkCheckService.checkLink(`${base}/hop-1`, settings, rules);
+  assert.equal(chain.issue, 'redirect-chain');
+  assert.equal(chain.finalUrl, `${base}/ok`);
+
+  const tooLong = await LinkCheckService.checkLink(`${base}/hop-1`, { ...settings, maxRedirects: 1 }, rules);
+  assert.equal(tooLong.issue, 'redirect-chain');
+  assert.match(tooLong.error, /More than 1 redirects/);
+});
+
+test('reports unpublished products that 404 or redirect to a listing', async () => {
+  assert.equal((await LinkCheckService.checkLink(`${base}/products/gone`, settings, rules)).issue, 'unpublished-product');
+  assert.equal((await LinkCheckService.checkLink(`${base}/products/retired`, settings, rules)).issue, 'unpublished-product');
+});
+
+test('reports unreachable hosts as errors', async () => {
+  const result = await LinkCheckService.checkLink('http://127.0.0.1:1/', settings, rules);
+  assert.equal(result.issue, 'error');
+});
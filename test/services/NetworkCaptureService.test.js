@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import NetworkCaptureService from '../../services/NetworkCaptureService.js';
+
+// Enough of a Playwright request for record()
+const fakeRequest = (timing, { url = 'https://shop.example.com/products/tee?color=red', failed = false } = {}) => ({
+  url: () => url,
+  method: () => 'GET',
+  resourceType: () => 'document',
+  timing: () => timing,
+  sizes: async () => ({ requestHeadersSize: 120, requestBodySize: 0, responseHeadersSize: 300, responseBodySize: 5000 }),
+  headersArray: async () => [{ name: 'accept', value: 'text/html' }],
+  response: async () => (failed ? null : {
+    status: () => 200,
+    statusText: () => 'OK',
+    headers: () => ({ 'content-type': 'text/html' }),
+    headersArray: async () => [{ name: 'content-type', value: 'text/html' }],
+    serverAddr: async () => ({ ipAddress: '203.0.113.5', port: 443 })
+  })
+});
+
+const FULL_TIMING = {
+  startTime: Date.UTC(2026, 0, 1),
+  domainLookupStart: 1, domainLookupEnd: 5,
+  connectStart: 5, secureConnectionStart: 10, connectEnd: 30,
+  requestStart: 30, responseStart: 80, responseEnd: 95
+};
+const NO_TIMING = {
+  startTime: -1,
+  domainLookupStart: -1, domainLookupEnd: -1,
+  connectStart: -1, secureConnectionStart: -1, connectEnd: -1,
+  requestStart: -1, responseStart: -1, responseEnd: -1
+};
+
+test('records phase timings and their sum, ssl counted inside connect', async () => {
+  const entry = await NetworkCaptureService.record(fakeRequest(FULL_TIMING), {}, null, true, 'h2');
+  assert.deepEqual(entry.timings, { blocked: -1, dns: 4, connect: 25, ssl: 20, send: 0, wait: 50, receive: 15 });
+  assert.equal(entry.time, 94);
+  assert.equal(entry.httpVersion, 'HTTP/2');
+});
+
+test('keeps send, wait and receive non-negative when the browser reports no timing', async () => {
+  const entry = await NetworkCaptureService.record(fakeRequest(NO_TIMING, { failed: true }), {}, 'net::ERR_FAILED', false);
+  for (const phase of ['send', 'wait', 'receive']) {
+    assert.ok(entry.timings[phase] >= 0, phase);
+  }
+  assert.equal(entry.time, 0);
+  assert.equal(entry.status, 0);
+  assert.equal(entry.httpVersion, 'unknown');
+});
+
+test('builds a HAR 1.2 log with queries, headers and versions', async () => {
+  const entry = await NetworkCaptureService.record(fakeRequest(FULL_TIMING), { pageUrl: 'https://shop.example.com/' }, null, true, 'http/1.1');
+  const har = NetworkCaptureService.buildHar('page_1', 'https://shop.example.com/', [entry], { browser: 'chromium', device: 'desktop' });
+
+  assert.equal(har.log.version, '1.2');
+  assert.equal(har.log.pages[0].id, 'page_1');
+  const [harEntry] = har.log.entries;
+  assert.equal(harEntry.pageref, 'page_1');
+  assert.equal(harEntry.request.httpVersion, 'HTTP/1.1');
+  assert.equal(harEntry.response.httpVersion, 'HTTP/1.1');
+  assert.deepEqual(harEntry.request.queryString, [{ name: 'color', value: 'red' }]);
+  assert.equal(harEntry.response.content.mimeType, 'text/html');
+  assert.equal(harEntry.serverIPAddress, '203.0.113.5');
+  assert.equal(harEntry.time, 94);
+});
+
+test('counts subdomains of the store domain as first party', () => {
+  const configuration = {
+    targetUrl: 'https://www.example.co.uk',
+    productPages: [{ url: 'https://brand.myshopify.com/products/tee' }]
+  };
+  const firstParty = NetworkCaptureService.firstPartyHosts(configuration);
+
+  assert.equal(NetworkCaptureService.isFirstParty('cdn.example.co.uk', firstParty), true);
+  assert.equal(NetworkCaptureService.isFirstParty('shop.example.co.uk', firstParty), true);
+  assert.equal(NetworkCaptureService.isFirstParty('other.myshopify.com', firstParty), false);
+  assert.equal(NetworkCaptureService.isFirstParty('notexample.co.uk', firstParty), false);
+});
+
+test('inventories third-party origins and scripts with their JS errors', () => {
+  const configuration = { targetUrl: 'https://example.com', productPages: [] };
+  const entry = (url, resourceType, extra = {}) => ({
+    url, resourceType, pageUrl: 'https://example.com/p', time: 10, status: 200,
+    responseBodySize: 100, responseHeadersSize: 20, ...extra
+  });
+  const inventory = NetworkCaptureService.buildInventory(configuration, [
+    entry('https://cdn.example.com/app.js', 'script'),
+    entry('https://tracker.test/t.js#v1', 'script'),
+    entry('https://tracker.test/pixel.gif', 'image', { status: 500 })
+  ], [{ source: 'https://tracker.test/t.js' }]);
+
+  assert.equal(inventory.requests, 2);
+  assert.equal(inventory.bytes, 240);
+  assert.equal(inventory.origins.length, 1);
+  assert.deepEqual(
+    { requests: inventory.origins[0].requests, failed: inventory.origins[0].failed, jsErrors: inventory.origins[0].jsErrors },
+    { requests: 2, failed: 1, jsErrors: 1 }
+  );
+  assert.equal(inventory.scripts[0].url, 'https://tracker.test/t.js');
+  assert.equal(inventory.scripts[0].jsErrors, 1);
+});
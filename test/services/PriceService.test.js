@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PriceService from '../../services/PriceService.js';
+
+test('parses a plain price and its currency', () => {
+  const parsed = PriceService.parse('€24,99', { locale: 'de-DE' });
+  assert.equal(parsed.amount, 24.99);
+  assert.equal(parsed.currency, 'EUR');
+});
+
+test('guesses the decimal separator without a locale', () => {
+  assert.equal(PriceService.parse('1.299,00 €').amount, 1299);
+  assert.equal(PriceService.parse('$1,299.00').amount, 1299);
+  assert.equal(PriceService.parse('₹1,00,000').amount, 100000);
+});
+
+test('lets the rightmost separator decide when both are present', () => {
+  assert.equal(PriceService.parse('$1,299.00', { locale: 'de-DE' }).amount, 1299);
+  assert.equal(PriceService.parse('1.299,00 €', { locale: 'en-US' }).amount, 1299);
+});
+
+test('reads sale and compare-at prices', () => {
+  const labelled = PriceService.parse('Regular price Rs. 1,499.00 Sale price Rs. 1,299.00');
+  assert.equal(labelled.amount, 1299);
+  assert.equal(labelled.compareAtAmount, 1499);
+  assert.equal(labelled.onSale, true);
+
+  const unlabelled = PriceService.parse('$29.99 $39.99');
+  assert.equal(unlabelled.amount, 29.99);
+  assert.equal(unlabelled.compareAtAmount, 39.99);
+});
+
+test('reads price ranges', () => {
+  const parsed = PriceService.parse('$10.00 – $20.00');
+  assert.equal(parsed.isRange, true);
+  assert.equal(parsed.minAmount, 10);
+  assert.equal(parsed.maxAmount, 20);
+  assert.equal(parsed.amount, 10);
+});
+
+test('skips savings and instalment amounts', () => {
+  assert.equal(PriceService.parse('Save $10 $49.99').amount, 49.99);
+  assert.equal(PriceService.parse('$99.00 or 4 payments of $24.75').amount, 99);
+});
+
+test('leaves a shared symbol open unless the configured currency settles it', () => {
+  const open = PriceService.parse('$29.99');
+  assert.equal(open.currency, null);
+  assert.ok(open.currencyCandidates.includes('USD'));
+
+  assert.equal(PriceService.parse('$29.99', { currency: 'CAD' }).currency, 'CAD');
+  assert.equal(PriceService.parse('€29.99', { currency: 'USD' }).currency, 'EUR');
+});
+
+test('resolves an open currency from the first consistent hint', () => {
+  const parsed = PriceService.parse('Rs. 1,299.00 Sale');
+  PriceService.resolveCurrency(parsed, [null, 'usd', 'INR']);
+  assert.equal(parsed.currency, 'INR');
+
+  const unmarked = PriceService.parse('29.99');
+  PriceService.resolveCurrency(unmarked, ['eur']);
+  assert.equal(unmarked.currency, 'EUR');
+});
+
+test('flags zero and unreadable prices', () => {
+  assert.equal(PriceService.invalidPriceAlert('/p', '$0.00', PriceService.parse('$0.00')).type, 'zero');
+  assert.equal(PriceService.invalidPriceAlert('/p', 'Call us', PriceService.parse('Call us')).type, 'unparseable');
+  assert.equal(PriceService.invalidPriceAlert('/p', '$5', PriceService.parse('$5')), null);
+});
+
+test('agrees with reference amounts within a cent, and with ranges', () => {
+  assert.equal(PriceService.agreesWith(PriceService.parse('$29.99'), [29.99]), true);
+  assert.equal(PriceService.agreesWith(PriceService.parse('$29.99'), [39.99]), false);
+  assert.equal(PriceService.agreesWith(PriceService.parse('$10 - $20'), [15]), true);
+  assert.equal(PriceService.agreesWith(PriceService.parse('$15'), [], { low: 10, high: 20 }), true);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ProductDiscoveryService from '../../services/ProductDiscoveryService.js';
+
+const urls = [
+  { url: 'https://example.com/products/a', lastmod: new Date('2026-01-01') },
+  { url: 'https://example.com/products/b', lastmod: null },
+  { url: 'https://example.com/products/c', lastmod: new Date('2026-03-01') },
+  { url: 'https://example.com/products/d', lastmod: new Date('2026-02-01') }
+];
+
+test('samples every URL by default', () => {
+  assert.deepEqual(ProductDiscoveryService.sample(urls), urls);
+});
+
+test('samples the most recently modified URLs first', () => {
+  const sample = ProductDiscoveryService.sample(urls, { mode: 'newest', size: 3 });
+  assert.deepEqual(sample.map(entry => entry.url.slice(-1)), ['c', 'd', 'a']);
+});
+
+test('samples a random subset of the requested size without repeats', () => {
+  const sample = ProductDiscoveryService.sample(urls, { mode: 'random', size: 2 });
+  assert.equal(sample.length, 2);
+  assert.notEqual(sample[0], sample[1]);
+  assert.ok(sample.every(entry => urls.includes(entry)));
+  assert.equal(urls.length, 4);
+});
+
+test('reads product URLs and lastmod from a sitemap', () => {
+  const { urls: entries } = ProductDiscoveryService.parseSitemap(`<?xml version="1.0"?>
+    <urlset><url><loc>https://example.com/products/a</loc><lastmod>2026-01-01</lastmod></url>
+    <url><loc><![CDATA[https://example.com/products/b]]></loc></url></urlset>`);
+  assert.deepEqual(entries.map(entry => entry.loc), ['https://example.com/products/a', 'https://example.com/products/b']);
+});
+
+test('matches product URLs with the include and exclude patterns', () => {
+  const rules = ProductDiscoveryService.buildRules({ platform: 'other' }, { excludePatterns: ['gift-card'] });
+  assert.equal(ProductDiscoveryService.isProductUrl('https://example.com/products/tee', rules), true);
+  assert.equal(ProductDiscoveryService.isProductUrl('https://example.com/products/gift-card', rules), false);
+  assert.equal(ProductDiscoveryService.isProductUrl('https://example.com/about', rules), false);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import VariantMatrixService from '../../services/VariantMatrixService.js';
+
+const previous = {
+  price: '$10.00',
+  image: 'https://cdn.example.com/red.jpg',
+  availability: 'In stock',
+  inStock: true,
+  addToCartPresent: true,
+  addToCartEnabled: true,
+  variantId: '1'
+};
+const changes = (state) => ({
+  price: state.price !== previous.price,
+  image: state.image !== previous.image,
+  availability: state.availability !== previous.availability,
+  addToCart: state.addToCartEnabled !== previous.addToCartEnabled,
+  variant: state.variantId !== previous.variantId
+});
+const issues = (state, options) => VariantMatrixService.findInconsistencies(state, previous, changes(state), options);
+
+test('accepts a variant whose price, image and stock all updated', () => {
+  assert.deepEqual(issues({ ...previous, variantId: '2', price: '$12.00', image: 'https://cdn.example.com/blue.jpg' }), []);
+});
+
+test('flags a variant change that left price and image stale', () => {
+  assert.match(issues({ ...previous, variantId: '2' })[0], /price and image did not update/);
+});
+
+test('flags an option that changed nothing, unless it was already selected', () => {
+  assert.match(issues({ ...previous })[0], /changed nothing/);
+  assert.deepEqual(issues({ ...previous }, { alreadySelected: true }), []);
+});
+
+test('flags going out of stock while add to cart stays enabled', () => {
+  const found = issues({ ...previous, variantId: '2', price: '$12.00', availability: 'Sold out', inStock: false });
+  assert.ok(found.some(issue => /out of stock but add to cart is still enabled/.test(issue)));
+  assert.ok(found.some(issue => /Availability changed to "Sold out" but add to cart did not update/.test(issue)));
+});
+
+test('accepts a new stock count without a button change', () => {
+  assert.deepEqual(issues({ ...previous, variantId: '2', price: '$12.00', availability: '3 left' }), []);
+});
+
+test('flags a price shown with add to cart disabled and no out-of-stock message', () => {
+  const found = VariantMatrixService.findInconsistencies({ ...previous, addToCartEnabled: false, inStock: null });
+  assert.match(found[0], /add to cart is disabled/);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import VisualRegressionService from '../../services/VisualRegressionService.js';
+
+// Solid white PNG, with an optional black rectangle
+const image = (width, height, black = null) => {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      const inside = black && x >= black.x && x < black.x + black.width && y >= black.y && y < black.y + black.height;
+      png.data.fill(inside ? 0 : 255, idx, idx + 3);
+      png.data[idx + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+};
+
+test('finds no difference between identical screenshots', () => {
+  const result = VisualRegressionService.compare(image(10, 10), image(10, 10));
+  assert.equal(result.mismatchedPixels, 0);
+  assert.equal(result.mismatchPercent, 0);
+  assert.equal(result.sizeChanged, false);
+  assert.ok(PNG.sync.read(result.diffBuffer).width === 10);
+});
+
+test('measures the changed area as a percentage', () => {
+  const result = VisualRegressionService.compare(image(10, 10), image(10, 10, { x: 0, y: 0, width: 5, height: 2 }));
+  assert.equal(result.mismatchedPixels, 10);
+  assert.equal(result.mismatchPercent, 10);
+});
+
+test('ignores changes inside ignore rectangles', () => {
+  const change = { x: 2, y: 2, width: 3, height: 3 };
+  const result = VisualRegressionService.compare(image(10, 10), image(10, 10, change), { ignoreRects: [change] });
+  assert.equal(result.mismatchedPixels, 0);
+});
+
+test('counts added page height as changed pixels', () => {
+  const result = VisualRegressionService.compare(image(10, 10), image(10, 12));
+  assert.equal(result.sizeChanged, true);
+  assert.equal(result.mismatchedPixels, 20);
+});